@@ -9,62 +9,199 @@ import {
   SafeAreaView,
   Dimensions,
   Animated,
+  Easing,
   PanResponder,
-  Alert
+  Alert,
+  AppState,
+  TextInput,
+  Modal,
+  Pressable
 } from 'react-native';
 import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system';
-import axios from 'axios';
-import Constants from 'expo-constants';
+import Svg, { Rect } from 'react-native-svg';
 import {
   useFonts,
   JetBrainsMono_400Regular,
   JetBrainsMono_500Medium,
   JetBrainsMono_700Bold
 } from '@expo-google-fonts/jetbrains-mono';
-
-// Groq API Configuration
-const GROQ_CONFIG = {
-  API_KEY: Constants.expoConfig?.extra?.groqApiKey || '',
-  WHISPER_ENDPOINT: 'https://api.groq.com/openai/v1/audio/transcriptions',
-  MODEL: 'whisper-large-v3', // Changed back to full model for better accuracy
-  RESPONSE_FORMAT: 'json',
-  LANGUAGE: 'en',
-};
+import {
+  useLibrary,
+  importRecordingFile,
+  resolveRecordingUri,
+  saveSidecar,
+  loadSidecar,
+  getDurationMillis,
+  getAudioFileNames,
+  normalizeTags,
+  getAllTags,
+} from './src/library';
+import { startOfDay, msUntilNextDay, groupRecordingsByDay, getDisplayDate } from './src/dates';
+import {
+  CLIP_DB,
+  LEVEL_BAR_COUNT,
+  ENVELOPE_INTERVAL_MS,
+  dbToLevel,
+  createEnvelopeBuilder,
+  envelopeLevelAt,
+  useLevelMeter,
+} from './src/levels';
+import { peaksFromEnvelope, computePeaks } from './src/waveform';
+import { useSettings } from './src/settings';
+import {
+  RECORDING_PRESETS,
+  SAMPLE_RATE_OPTIONS,
+  isPresetSupported,
+  FALLBACK_RECORDING_FORMAT,
+  resolveRecordingFormat,
+  buildRecordingOptions,
+  getRecordingMimeType,
+  getRecordingFileName,
+  getMimeTypeForExtension,
+} from './src/recordingPresets';
+import {
+  TRANSCRIPTION_PROVIDERS,
+  getTranscriptionConfig,
+  getConfigProblem,
+  describeTranscriptionError,
+} from './src/transcription';
+import { useTranscriptionQueue } from './src/transcriptionQueue';
+import { formatDuration, getTenths } from './src/durations';
+import {
+  loadJournal,
+  journalTake,
+  updateJournaledTake,
+  removeJournaledTake,
+  inspectUnfinishedTake,
+  recoverTakeFile,
+  discardTake,
+} from './src/recovery';
+import { startRecordingService, stopRecordingService } from './src/recordingService';
+import { needsChunking, transcribeInSegments } from './src/chunkedTranscription';
+import { useSearchIndex, getQueryTerms, highlightText, matchesTerms } from './src/search';
+import {
+  loadTranscriptHistory,
+  addTranscriptRevision,
+  setCurrentRevision,
+  ensureTranscriptHistory,
+} from './src/transcriptHistory';
+import { EXPORT_FORMATS, exportRecordings } from './src/exporter';
+import { AUTO_LANGUAGE, LANGUAGES, getLanguageName } from './src/languages';
+import {
+  MIN_EDIT_MS,
+  getPlayableRange,
+  clipTimings,
+  textFromTimings,
+  getTrimmedTranscript,
+  sliceEnvelope,
+  getRangePeaks,
+  canRenderEdit,
+  renderEditToWav,
+} from './src/edits';
+import {
+  createMarker,
+  getMarkerLabel,
+  clipMarkers,
+  getPlayableMarkers,
+  findAdjacentMarker,
+} from './src/markers';
+import {
+  createVoiceGate,
+  mapToSpans,
+  cutEnvelopeToSpans,
+  VOX_THRESHOLD_OPTIONS,
+  VOX_SILENCE_OPTIONS,
+} from './src/voiceActivation';
+import {
+  getAudioSegments,
+  getSegmentsDuration,
+  cutSegments,
+  loadRecordingSound,
+} from './src/audioSegments';
 
 const { width } = Dimensions.get('window');
 
-// Recording options for better audio quality
-const recordingOptions = {
-  android: {
-    extension: '.m4a',
-    outputFormat: Audio.RECORDING_OPTION_ANDROID_OUTPUT_FORMAT_MPEG_4,
-    audioEncoder: Audio.RECORDING_OPTION_ANDROID_AUDIO_ENCODER_AAC,
-    sampleRate: 44100,
-    numberOfChannels: 1,
-    bitRate: 256000,
-  },
-  ios: {
-    extension: '.m4a',
-    outputFormat: Audio.RECORDING_OPTION_IOS_OUTPUT_FORMAT_MPEG4AAC,
-    audioQuality: Audio.RECORDING_OPTION_IOS_AUDIO_QUALITY_HIGH,
-    sampleRate: 44100,
-    numberOfChannels: 1,
-    bitRate: 256000,
-    linearPCMBitDepth: 16,
-    linearPCMIsBigEndian: false,
-    linearPCMIsFloat: false,
-  },
+// One disk revolution per 3 seconds of audio, while recording or playing
+const DISK_MS_PER_REVOLUTION = 3000;
+
+// Jog wheel: audio scrubbed per revolution grows with how fast the disk is
+// turned, so slow turns are precise and fast spins cover long recordings
+const JOG_ACCELERATION = 4;
+const JOG_MAX_REVS_PER_SECOND = 5;
+const JOG_SEEK_INTERVAL_MS = 80;
+
+// Resolve a { fraction } or { millis } position against a sound's length
+const positionFor = (target, durationMillis) => {
+  if (!target || !durationMillis) {
+    return 0;
+  }
+  const millis = target.millis ?? (target.fraction || 0) * durationMillis;
+  return Math.floor(Math.min(durationMillis, Math.max(0, millis)));
 };
 
+// Width of the star and delete buttons revealed by swiping a recording
+const SWIPE_ACTIONS_WIDTH = 150;
+
+// How often an interrupted take tries to restart on its own
+const INTERRUPTION_RETRY_MS = 5000;
+
+// Playback speeds offered per recording; tapping the speed label cycles through them
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3];
+
 export default function App() {
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [recordingDuration, setRecordingDuration] = useState(0);
-  const [recordings, setRecordings] = useState([]);
+  // Voice activation: the gate while a voice-activated take runs, and whether
+  // that take is 'listening' (paused on silence) or 'recording'. Status
+  // updates are handled by a callback bound when the recorder is created, so
+  // it reads the recorder and manual pause through refs.
+  const voxGateRef = useRef(null);
+  const [voxState, setVoxState] = useState(null);
+  const recorderRef = useRef(null);
+  const isPausedRef = useRef(false);
+  isPausedRef.current = isPaused;
+  // Set while the app itself pauses or resumes the recorder, so that isn't
+  // mistaken for an interruption
+  const recorderBusyRef = useRef(false);
+  // A take paused by the system, e.g. for a phone call
+  const [isInterrupted, setIsInterrupted] = useState(false);
+  const interruptedRef = useRef(false);
+  // Length of the take so far, from the recorder's own status updates
+  const [recordingMillis, setRecordingMillis] = useState(0);
+  // Markers dropped into the take in progress
+  const pendingMarkersRef = useRef([]);
+  const [markerCount, setMarkerCount] = useState(0);
+  const {
+    recordings,
+    isLoaded: isLibraryLoaded,
+    loadError: libraryLoadError,
+    getRecording,
+    addRecording,
+    updateRecording,
+    removeRecording,
+  } = useLibrary();
   const [currentRecording, setCurrentRecording] = useState(null);
   const [recording, setRecording] = useState(null);
+
+  // Search over transcripts, titles and tags
+  const [searchQuery, setSearchQuery] = useState('');
+  const searchRecordings = useSearchIndex(recordings, isLibraryLoaded);
+
+  // Multi-select for batch export, null when not selecting
+  const [selectedIds, setSelectedIds] = useState(null);
+  // Recordings in the open export sheet, null while it is closed
+  const [exportIds, setExportIds] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // List filters and the recording whose details sheet is open
+  const [filterStarred, setFilterStarred] = useState(false);
+  const [filterTag, setFilterTag] = useState(null);
+  const [detailsId, setDetailsId] = useState(null);
+  const [trimId, setTrimId] = useState(null);
+  // Recording selected with the device's arrow buttons
+  const [cursorId, setCursorId] = useState(null);
   
   // Playback state
   const [playingId, setPlayingId] = useState(null);
@@ -73,16 +210,36 @@ export default function App() {
   const [currentSound, setCurrentSound] = useState(null);
   const [playbackPosition, setPlaybackPosition] = useState(0);
   const [playbackDuration, setPlaybackDuration] = useState(0);
+  // Trimmed range of the loaded sound in file time. Positions shown in the
+  // UI are relative to its start.
+  const playbackRangeRef = useRef({ startMs: 0, endMs: 0, durationMillis: 0 });
+
+  // Settings and the format of the take in progress
+  const {
+    settings,
+    isLoaded: isSettingsLoaded,
+    updateSettings,
+    getSettings,
+  } = useSettings();
+  const [showSettings, setShowSettings] = useState(false);
+  const recordingFormatRef = useRef(null);
+  // Recording a take is added to instead of becoming a new one:
+  // { recordingId, punchInMs, baseMs, format }. Mirrored in state for display.
+  const takeTargetRef = useRef(null);
+  const [takeTarget, setTakeTarget] = useState(null);
+
+  // Level meter state, fed by recording metering or the playback envelope
+  const { meter, update: updateMeter, reset: resetMeter } = useLevelMeter();
+  const envelopeRef = useRef(null);
 
-  // Transcription state
-  const [isTranscribing, setIsTranscribing] = useState(false);
-  
   // Animation refs
   const diskRotation = useRef(new Animated.Value(0)).current;
   const diskScale = useRef(new Animated.Value(1)).current;
+  const diskRef = useRef(null);
+  const jogRef = useRef(null);
   
-  // Time and date state
-  const [currentDate, setCurrentDate] = useState('');
+  // Start of the current local day, refreshed at midnight so sections stay accurate
+  const [today, setToday] = useState(() => startOfDay(Date.now()));
   
   const [fontsLoaded, fontError] = useFonts({
     JetBrainsMono_400Regular,
@@ -104,7 +261,7 @@ export default function App() {
         const mode = {
           allowsRecordingIOS: true,
           playsInSilentModeIOS: true,
-          staysActiveInBackground: false,
+          staysActiveInBackground: true,
           shouldDuckAndroid: true,
           playThroughEarpieceAndroid: false,
         };
@@ -125,63 +282,180 @@ export default function App() {
     setupAudio();
   }, []);
 
-  // Format recording duration for display
-  const formatDuration = (seconds) => {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    return `${hours}.${minutes.toString().padStart(2, '0')}.${secs.toString().padStart(2, '0')}`;
-  };
-
-  // Update date on mount
+  // Keep the current day up to date across midnight and app resumes
   useEffect(() => {
-    const updateDate = () => {
-      const now = new Date();
-      const options = { day: '2-digit', month: 'short' };
-      const formattedDate = now.toLocaleDateString('en-US', options).toUpperCase();
-      setCurrentDate(formattedDate);
+    const updateToday = () => setToday(startOfDay(Date.now()));
+
+    let timer = null;
+    const scheduleNextDay = () => {
+      timer = setTimeout(() => {
+        updateToday();
+        scheduleNextDay();
+      }, msUntilNextDay() + 1000);
     };
+    scheduleNextDay();
 
-    updateDate();
+    // Timers don't fire while the app is suspended, so re-check on resume
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        updateToday();
+        clearTimeout(timer);
+        scheduleNextDay();
+      }
+    });
+
+    return () => {
+      clearTimeout(timer);
+      subscription.remove();
+    };
   }, []);
 
-  // Recording duration timer
+  // Status updates don't arrive in the background, so when the app comes back
+  // the counter and disk catch up with the recorder, and a take paused by an
+  // interruption is resumed or, failing that, saved
+  const onAppActiveRef = useRef(null);
   useEffect(() => {
-    let interval = null;
-    if (isRecording && !isPaused) {
-      interval = setInterval(() => {
-        setRecordingDuration(prev => prev + 1);
-      }, 1000);
-    } else if (!isRecording) {
-      setRecordingDuration(0);
-    }
-    return () => clearInterval(interval);
-  }, [isRecording, isPaused]);
-
-  // Disk spinning animation
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        onAppActiveRef.current?.();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Keep trying to resume an interrupted take, e.g. once a call ends while
+  // the app is still in the background
+  const resumeAfterInterruptionRef = useRef(null);
   useEffect(() => {
-    if (isRecording && !isPaused) {
-      startDiskAnimation();
-    } else {
-      stopDiskAnimation();
+    if (!isInterrupted) {
+      return;
     }
-  }, [isRecording, isPaused]);
+    const timer = setInterval(() => resumeAfterInterruptionRef.current?.(false), INTERRUPTION_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [isInterrupted]);
+
+  // The disk angle follows the recording or playback position. Each status
+  // update animates it to the new position over one update interval.
+  const syncDisk = (positionMillis) => {
+    Animated.timing(diskRotation, {
+      toValue: positionMillis / DISK_MS_PER_REVOLUTION,
+      duration: ENVELOPE_INTERVAL_MS,
+      easing: Easing.linear,
+      useNativeDriver: true,
+    }).start();
+  };
 
-  const startDiskAnimation = () => {
+  const resetDisk = () => {
+    diskRotation.stopAnimation();
     diskRotation.setValue(0);
-    Animated.loop(
-      Animated.timing(diskRotation, {
-        toValue: 1,
-        duration: 3000,
-        useNativeDriver: true,
-      })
-    ).start();
   };
 
   const stopDiskAnimation = () => {
     diskRotation.stopAnimation();
   };
 
+  // Show whether a voice-activated take is keeping what it hears. The
+  // recorder itself keeps running; silences are cut when the take stops.
+  const applyVoxDecision = (decision) => {
+    if (!decision) {
+      return;
+    }
+    setVoxState(decision === 'close' ? 'listening' : 'recording');
+    console.log('Voice activation:', decision);
+  };
+
+  // The counter of a voice-activated take shows only what is kept of it
+  const getShownMillis = (takeMillis) => {
+    return voxGateRef.current ? voxGateRef.current.getVoicedMillis(takeMillis) : takeMillis;
+  };
+
+  // The recorder stopped capturing although nothing in the app paused it:
+  // the system took the audio session, e.g. for a call
+  const isInterruption = (status) => {
+    return recorderRef.current && !status.isRecording && status.canRecord && !isPausedRef.current &&
+      !recorderBusyRef.current && !interruptedRef.current;
+  };
+
+  // Restart a take after an interruption. When it can't be restarted and
+  // finalize is set, the take is saved as it is.
+  const resumeAfterInterruption = async (finalize) => {
+    const recorder = recorderRef.current;
+    if (!recorder || !interruptedRef.current) {
+      return;
+    }
+    recorderBusyRef.current = true;
+    try {
+      await recorder.startAsync();
+      const status = await recorder.getStatusAsync();
+      if (!status.isRecording) {
+        throw new Error('Recorder did not restart');
+      }
+      interruptedRef.current = false;
+      setIsInterrupted(false);
+      console.log('Recording resumed after interruption');
+    } catch (error) {
+      console.log('Could not resume recording after interruption:', error.message);
+      if (finalize) {
+        interruptedRef.current = false;
+        setIsInterrupted(false);
+        await stopRecording();
+        Alert.alert('Recording Saved', 'The recording was interrupted and could not be resumed, so it has been saved.');
+      }
+    } finally {
+      recorderBusyRef.current = false;
+    }
+  };
+  resumeAfterInterruptionRef.current = resumeAfterInterruption;
+
+  // Back in the foreground: resume an interrupted take and resync the
+  // counter and disk with the recorder's own duration
+  const onAppActive = async () => {
+    if (!recorderRef.current) {
+      return;
+    }
+    try {
+      if (interruptedRef.current) {
+        await resumeAfterInterruption(true);
+      }
+      const recorder = recorderRef.current;
+      if (!recorder) {
+        return;
+      }
+      const status = await recorder.getStatusAsync();
+      if (status.canRecord) {
+        setRecordingMillis(getShownMillis(status.durationMillis));
+        syncDisk(status.durationMillis);
+      }
+    } catch (error) {
+      console.error('Failed to resync recording:', error);
+    }
+  };
+  onAppActiveRef.current = onAppActive;
+
+  // Feed metering from the recorder into the voice gate, the level bars and
+  // the saved envelope. Only live readings reach the gate: a paused or
+  // interrupted recorder doesn't meter the microphone.
+  const onRecordingStatusUpdate = (status) => {
+    if (isInterruption(status)) {
+      console.log('Recording interrupted');
+      interruptedRef.current = true;
+      setIsInterrupted(true);
+      resetMeter();
+      return;
+    }
+    if (!status.isRecording) {
+      return;
+    }
+    if (voxGateRef.current && !isPausedRef.current && !interruptedRef.current) {
+      applyVoxDecision(voxGateRef.current.update(status.metering, status.durationMillis));
+    }
+    const level = dbToLevel(status.metering);
+    updateMeter(level, status.metering >= CLIP_DB);
+    envelopeRef.current?.push(status.durationMillis, level);
+    setRecordingMillis(getShownMillis(status.durationMillis));
+    syncDisk(status.durationMillis);
+  };
+
   // Audio recording functions
   const startRecording = async () => {
     try {
@@ -203,44 +477,85 @@ export default function App() {
       console.log('Starting recording with improved options...');
       
       // Set optimal audio mode for recording
+      // Recording carries on with the screen locked or in another app
       await Audio.setAudioModeAsync({
         allowsRecordingIOS: true,
         playsInSilentModeIOS: true,
-        staysActiveInBackground: false,
+        staysActiveInBackground: true,
         shouldDuckAndroid: false,
         playThroughEarpieceAndroid: false,
       });
 
-      const currentRecordingOptions = recordingOptions;
+      // A take added to a recording matches that recording's format
+      const format = takeTargetRef.current?.format || resolveRecordingFormat(getSettings());
+      const currentRecordingOptions = buildRecordingOptions(format);
       
-      console.log('Attempting to create recording with high-quality options');
+      console.log('Attempting to create recording with preset:', format.preset);
       
+      envelopeRef.current = createEnvelopeBuilder();
+      resetMeter();
+      pendingMarkersRef.current = [];
+      setMarkerCount(0);
+      setRecordingMillis(0);
+      voxGateRef.current = null;
+      setVoxState(null);
+
       let newRecording;
       try {
-        const { recording } = await Audio.Recording.createAsync(currentRecordingOptions);
+        const { recording } = await Audio.Recording.createAsync(
+          currentRecordingOptions,
+          onRecordingStatusUpdate,
+          ENVELOPE_INTERVAL_MS
+        );
         newRecording = recording;
+        recordingFormatRef.current = format;
         console.log('Recording created successfully with custom options');
       } catch (optionsError) {
         console.log('Custom options failed, trying Expo preset:', optionsError.message);
         // Fallback to Expo preset if our custom options fail
-        const { recording } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+        const { recording } = await Audio.Recording.createAsync(
+          { ...Audio.RecordingOptionsPresets.HIGH_QUALITY, isMeteringEnabled: true },
+          onRecordingStatusUpdate,
+          ENVELOPE_INTERVAL_MS
+        );
         newRecording = recording;
+        recordingFormatRef.current = FALLBACK_RECORDING_FORMAT;
         console.log('Recording created successfully with Expo preset');
       }
       
       // Log recording options for debugging
-      console.log('Using high-quality recording mode');
+      console.log('Recording format:', recordingFormatRef.current);
       
       // Get recording status for debugging
       const status = await newRecording.getStatusAsync();
       console.log('Recording status after creation:', status);
       
+      recorderRef.current = newRecording;
       setRecording(newRecording);
+      // Keeps the microphone on Android while the app is in the background
+      startRecordingService();
+
+      // Journal the take so it can be recovered if the app dies mid-take
+      journalTake({
+        uri: newRecording.getURI(),
+        startedAt: Date.now(),
+        format: recordingFormatRef.current,
+        markers: [],
+      });
       setIsRecording(true);
       setIsPaused(false);
+
+      // A voice-activated take starts armed: the recorder runs, but nothing
+      // is kept until there's sound
+      const { voxEnabled, voxThresholdDb, voxSilenceMs } = getSettings();
+      if (voxEnabled) {
+        voxGateRef.current = createVoiceGate({ thresholdDb: voxThresholdDb, silenceMs: voxSilenceMs });
+        setVoxState('listening');
+        console.log('Voice activation armed at', voxThresholdDb, 'dB');
+      }
       
-      // Start disk animation
-      startDiskAnimation();
+      // Disk starts from the top and follows the recorder's duration
+      resetDisk();
     } catch (error) {
       console.error('Failed to start recording:', error);
       console.error('Error details:', {
@@ -251,6 +566,9 @@ export default function App() {
       
       setIsRecording(false);
       setRecording(null);
+      stopRecordingService();
+      takeTargetRef.current = null;
+      setTakeTarget(null);
       
       let errorMessage = 'Failed to start recording. ';
       if (error.message.includes('permission')) {
@@ -268,16 +586,29 @@ export default function App() {
   const pauseRecording = async () => {
     try {
       if (recording && isRecording) {
+        recorderBusyRef.current = true;
         if (isPaused) {
           await recording.startAsync();
           setIsPaused(false);
+          // Resuming by hand also ends an interruption
+          interruptedRef.current = false;
+          setIsInterrupted(false);
+          // Back from a manual pause, a voice-activated take records until
+          // the next stretch of silence
+          if (voxGateRef.current) {
+            voxGateRef.current.open();
+            setVoxState('recording');
+          }
         } else {
           await recording.pauseAsync();
           setIsPaused(true);
+          resetMeter();
         }
       }
     } catch (error) {
       console.error('Failed to pause/resume recording:', error);
+    } finally {
+      recorderBusyRef.current = false;
     }
   };
 
@@ -291,44 +622,125 @@ export default function App() {
       // Get URI before stopping to avoid potential race condition
       const uri = recording.getURI();
       console.log('Stopping recording with URI:', uri);
+      // Status updates from here on belong to a take that's ending
+      recorderRef.current = null;
 
       // Check if recording is still valid before stopping
       const status = await recording.getStatusAsync();
       console.log('Recording status before stopping:', status);
 
-      if (status.isRecording || status.isDoneRecording) {
-        await recording.stopAndUnloadAsync();
+      // A paused take can still be stopped
+      // The final status has the exact length of the file
+      let finalMillis = status.durationMillis;
+      if (status.isRecording || status.isDoneRecording || status.canRecord) {
+        const finalStatus = await recording.stopAndUnloadAsync();
+        finalMillis = finalStatus?.durationMillis || finalMillis;
         console.log('Recording stopped successfully');
       } else {
         console.log('Recording was already stopped');
       }
+      stopRecordingService();
+
+      const takeMillis = finalMillis || status.durationMillis || 0;
+      const spans = voxGateRef.current?.getSpans(takeMillis) || null;
+      let envelope = envelopeRef.current?.levels || [];
+      envelopeRef.current = null;
+      voxGateRef.current = null;
+      setVoxState(null);
+      interruptedRef.current = false;
+      setIsInterrupted(false);
+      resetMeter();
+      let markers = pendingMarkersRef.current;
+      pendingMarkersRef.current = [];
+      setMarkerCount(0);
+
+      // A voice-activated take keeps only its voiced spans, as segments of
+      // its file. One that heard nothing is kept whole rather than lost.
+      const isCut = spans?.length > 0 &&
+        !(spans.length === 1 && spans[0].startMs <= 0 && spans[0].endMs >= takeMillis);
+      if (spans && !spans.length) {
+        console.log('Voice activation heard nothing; keeping the whole take');
+      }
+      if (isCut) {
+        envelope = cutEnvelopeToSpans(envelope, spans);
+        markers = markers.map(marker => ({ ...marker, millis: mapToSpans(marker.millis, spans) }));
+        console.log(`Voice activation kept ${spans.length} spans of the take`);
+      }
+      const durationMillis = isCut ? getSegmentsDuration(spans) : (takeMillis || recordingMillis);
       
+      const target = takeTargetRef.current;
+      takeTargetRef.current = null;
+      setTakeTarget(null);
+      const targetRecording = target && getRecording(target.recordingId);
+
+      // Move the finished file out of the cache so it survives restarts. A
+      // take added to a recording is stored as one of its files.
+      const id = Date.now();
+      let fileName = null;
+      try {
+        fileName = targetRecording
+          ? await importRecordingFile(uri, targetRecording.id, `.part-${id}`)
+          : await importRecordingFile(uri, id);
+      } catch (moveError) {
+        console.log('Could not move recording into library, keeping cache file:', moveError.message);
+      }
+      removeJournaledTake(uri);
+
+      const takeFile = fileName ? { fileName } : { uri };
+      const takeSegments = isCut ? spans.map(span => ({ ...takeFile, ...span })) : null;
+
+      if (targetRecording) {
+        await addTakeToRecording(targetRecording, target.punchInMs, {
+          fileName,
+          uri,
+          durationMillis,
+          envelope,
+          markers,
+          segments: takeSegments,
+        });
+        setRecording(null);
+        setIsRecording(false);
+        setIsPaused(false);
+        setRecordingMillis(0);
+        stopDiskAnimation();
+        return;
+      }
+
+      saveSidecar(id, 'levels', envelope).catch(error => {
+        console.error('Failed to save level envelope:', error);
+      });
+
       // Create new recording entry with transcription placeholder
       const newRecording = {
-        id: Date.now(),
-        duration: formatDuration(recordingDuration),
+        id,
+        createdAt: id,
+        durationMillis,
         transcription: 'Transcribing...',
         time: new Date().toLocaleTimeString('en-US', { 
           hour: '2-digit', 
           minute: '2-digit',
           hour12: true 
         }),
-        section: 'Today',
-        uri: uri,
+        fileName,
+        uri: fileName ? resolveRecordingUri({ fileName }) : uri,
+        audioSegments: takeSegments,
+        peaks: peaksFromEnvelope(envelope),
+        format: recordingFormatRef.current,
+        markers,
         isTranscribing: true
       };
 
-      setRecordings(prev => [newRecording, ...prev]);
+      addRecording(newRecording);
       setRecording(null);
       setIsRecording(false);
       setIsPaused(false);
-      setRecordingDuration(0);
+      setRecordingMillis(0);
 
       // Stop disk animation
       stopDiskAnimation();
 
-      // Start transcription in background
-      transcribeWithGroq(newRecording);
+      // Queue transcription in background
+      enqueueTranscription(id);
     } catch (error) {
       console.error('Failed to stop recording:', error);
       console.error('Error details:', {
@@ -338,10 +750,15 @@ export default function App() {
       });
       
       // Reset state even if stopping failed
+      stopRecordingService();
+      envelopeRef.current = null;
+      takeTargetRef.current = null;
+      setTakeTarget(null);
+      resetMeter();
       setRecording(null);
       setIsRecording(false);
       setIsPaused(false);
-      setRecordingDuration(0);
+      setRecordingMillis(0);
       stopDiskAnimation();
       
       Alert.alert('Recording Error', 'Failed to stop recording properly, but state has been reset.');
@@ -356,7 +773,9 @@ export default function App() {
   };
 
   // Playback functions
-  const playRecording = async (recording) => {
+  // Start playback of a recording, optionally from a position given as
+  // { fraction } (0..1 of its length) or { millis }
+  const playRecording = async (recording, startAt = null) => {
     try {
       console.log('Attempting to play recording:', recording.uri);
       
@@ -395,17 +814,23 @@ export default function App() {
         playThroughEarpieceAndroid: false,
       });
 
+      // Playback has no live metering, so drive the level bars from the envelope
+      const envelope = await loadSidecar(recording.id, 'levels').catch(() => null);
+
       console.log('Creating sound from URI:', recording.uri);
 
-      // Create and load the sound with volume settings
-      const { sound } = await Audio.Sound.createAsync(
-        { uri: recording.uri },
+      // Create and load the sound with volume settings. Recordings made of
+      // several takes get a player that joins their segments.
+      const sound = await loadRecordingSound(
+        recording,
         { 
-          shouldPlay: true, 
+          shouldPlay: false, 
           isLooping: false,
           volume: 1.0,
-          rate: 1.0,
+          rate: recording.playbackRate || 1.0,
           shouldCorrectPitch: true,
+          pitchCorrectionQuality: Audio.PitchCorrectionQuality.High,
+          progressUpdateIntervalMillis: ENVELOPE_INTERVAL_MS,
         }
       );
       
@@ -413,6 +838,8 @@ export default function App() {
       
       setCurrentSound(sound);
       setPlayingId(recording.id);
+      // The device display follows whatever is playing
+      setCursorId(recording.id);
       setIsPlaybackPaused(false);
       
       // Set volume to maximum after loading
@@ -424,18 +851,31 @@ export default function App() {
       const status = await sound.getStatusAsync();
       console.log('Sound status:', status);
       
-      if (status.isLoaded) {
-        setPlaybackDuration(status.durationMillis || 0);
+      // The sound knows the file's exact length; entries migrated from the
+      // formatted duration only had whole seconds
+      if (status.durationMillis && status.durationMillis !== getDurationMillis(recording)) {
+        updateRecording(recording.id, { durationMillis: status.durationMillis });
+      }
+
+      // Only the trimmed range plays
+      const range = getPlayableRange(recording, status.durationMillis || getDurationMillis(recording));
+      playbackRangeRef.current = range;
+      setPlaybackDuration(range.durationMillis);
+
+      const startMillis = range.startMs + positionFor(startAt, range.durationMillis);
+      if (startMillis > 0) {
+        await sound.setPositionAsync(startMillis);
       }
 
       // Set up playback status update
       sound.setOnPlaybackStatusUpdate((status) => {
         if (status.isLoaded) {
-          setPlaybackPosition(status.positionMillis || 0);
+          const position = Math.max(0, (status.positionMillis || 0) - range.startMs);
+          setPlaybackPosition(position);
           
           // Update progress for this recording
-          const progress = status.durationMillis 
-            ? (status.positionMillis / status.durationMillis) * 100 
+          const progress = range.durationMillis 
+            ? Math.min(100, (position / range.durationMillis) * 100)
             : 0;
           
           setPlaybackProgress(prev => ({
@@ -443,8 +883,23 @@ export default function App() {
             [recording.id]: progress
           }));
 
+          // The envelope is in file time
+          updateMeter(status.isPlaying ? envelopeLevelAt(envelope, status.positionMillis) : 0);
+
+          // The jog wheel drives the disk itself while scrubbing
+          if (!jogRef.current) {
+            syncDisk(position);
+          }
+
+          // A trimmed recording ends before its file does
+          const reachedEditEnd = status.isPlaying && status.positionMillis >= range.endMs;
+          if (reachedEditEnd) {
+            sound.pauseAsync().catch(() => {});
+          }
+
           // Stop when finished
-          if (status.didJustFinish) {
+          if (status.didJustFinish || reachedEditEnd) {
+            resetMeter();
             setPlayingId(null);
             setIsPlaybackPaused(false);
             setPlaybackPosition(0);
@@ -456,6 +911,8 @@ export default function App() {
         }
       });
 
+      await sound.playAsync();
+
     } catch (error) {
       console.error('Error playing recording:', error);
       console.error('Error details:', error.message);
@@ -465,31 +922,87 @@ export default function App() {
     }
   };
 
-  const playMostRecentRecording = async () => {
+  // Mark the current point of the take. The time comes from the recorder,
+  // so it matches the audio even if the UI lagged.
+  const dropMarker = async () => {
+    try {
+      if (!recording || !isRecording) {
+        return;
+      }
+      const status = await recording.getStatusAsync();
+      pendingMarkersRef.current = [...pendingMarkersRef.current, createMarker(status.durationMillis || 0)];
+      setMarkerCount(pendingMarkersRef.current.length);
+      updateJournaledTake(recording.getURI(), { markers: pendingMarkersRef.current });
+      console.log('Marker dropped at', status.durationMillis);
+    } catch (error) {
+      console.error('Failed to drop marker:', error);
+    }
+  };
+
+  // Jump to the previous (-1) or next (1) marker of the playing recording
+  const jumpToMarker = async (direction) => {
+    try {
+      const playing = getRecording(playingId);
+      if (!playing || !currentSound) {
+        return;
+      }
+      const status = await currentSound.getStatusAsync();
+      if (!status.isLoaded) {
+        return;
+      }
+      const range = playbackRangeRef.current;
+      const position = Math.max(0, (status.positionMillis || 0) - range.startMs);
+      const target = findAdjacentMarker(getPlayableMarkers(playing), position, direction);
+      if (target !== null) {
+        await currentSound.setPositionAsync(range.startMs + target);
+      }
+    } catch (error) {
+      console.error('Error jumping to marker:', error);
+    }
+  };
+
+  // The device's ▶ button: plays the recording under the cursor, or pauses
+  // and resumes it once it's loaded
+  const playSelectedRecording = async (selected) => {
     try {
+      if (isRecording) {
+        return;
+      }
+
       // Check if there are any recordings
-      if (recordings.length === 0) {
+      if (!selected) {
         Alert.alert('No Recordings', 'There are no recordings to play. Record something first!');
         return;
       }
 
-      // Get the most recent recording (first in array)
-      const mostRecentRecording = recordings[0];
+      if (playingId === selected.id && currentSound) {
+        await pausePlayback();
+        return;
+      }
       
       // Check if the recording has a valid URI
-      if (!mostRecentRecording.uri) {
-        Alert.alert('Invalid Recording', 'The most recent recording cannot be played.');
+      if (!selected.uri) {
+        Alert.alert('Invalid Recording', 'The selected recording cannot be played.');
         return;
       }
 
-      console.log('Playing most recent recording:', mostRecentRecording.uri);
+      console.log('Playing selected recording:', selected.uri);
       
       // Use the existing playRecording function
-      await playRecording(mostRecentRecording);
+      await playRecording(selected);
       
     } catch (error) {
-      console.error('Error playing most recent recording:', error);
-      Alert.alert('Playback Error', 'Could not play the most recent recording.');
+      console.error('Error playing selected recording:', error);
+      Alert.alert('Playback Error', 'Could not play the selected recording.');
+    }
+  };
+
+  // The device's ■ button stops whatever is running
+  const stopSelected = async () => {
+    if (isRecording) {
+      await stopRecording();
+    } else if (playingId !== null) {
+      await stopPlayback();
     }
   };
 
@@ -502,6 +1015,8 @@ export default function App() {
           setIsPlaybackPaused(true);
           console.log('Playback paused');
         } else if (status.isLoaded && !status.isPlaying) {
+          // Re-apply the remembered speed; some players reset it across pauses
+          await applyPlaybackRate(currentSound, getRecording(playingId));
           await currentSound.playAsync();
           setIsPlaybackPaused(false);
           console.log('Playback resumed');
@@ -512,6 +1027,40 @@ export default function App() {
     }
   };
 
+  const applyPlaybackRate = async (sound, recording) => {
+    const rate = recording?.playbackRate || 1.0;
+    await sound.setRateAsync(rate, true, Audio.PitchCorrectionQuality.High);
+  };
+
+  // Change a recording's speed, remembering it and applying it live if it's loaded
+  const changePlaybackRate = async (recording, rate) => {
+    updateRecording(recording.id, { playbackRate: rate });
+    try {
+      if (playingId === recording.id && currentSound) {
+        await applyPlaybackRate(currentSound, { playbackRate: rate });
+      }
+    } catch (error) {
+      console.error('Error changing playback rate:', error);
+    }
+  };
+
+  // Seek a recording to { fraction } or { millis }, loading it if needed
+  const seekRecording = async (recording, target) => {
+    try {
+      if (playingId === recording.id && currentSound) {
+        const status = await currentSound.getStatusAsync();
+        if (status.isLoaded && status.durationMillis) {
+          const range = playbackRangeRef.current;
+          await currentSound.setPositionAsync(range.startMs + positionFor(target, range.durationMillis));
+          return;
+        }
+      }
+      await playRecording(recording, target);
+    } catch (error) {
+      console.error('Error seeking recording:', error);
+    }
+  };
+
   const stopPlayback = async () => {
     try {
       if (currentSound) {
@@ -523,6 +1072,7 @@ export default function App() {
       setIsPlaybackPaused(false);
       setPlaybackPosition(0);
       setPlaybackProgress({});
+      resetMeter();
     } catch (error) {
       console.error('Error stopping playback:', error);
     }
@@ -537,211 +1087,911 @@ export default function App() {
     };
   }, [currentSound]);
 
-  // Groq transcription function
-  const transcribeWithGroq = async (recording) => {
-    try {
-      // Debug log for API key
-      const apiKey = Constants.expoConfig?.extra?.groqApiKey;
-      console.log('API Key available:', !!apiKey);
-      console.log('API Key length:', apiKey ? apiKey.length : 0);
-      
-      // Check if Groq API key is configured
-      if (!GROQ_CONFIG.API_KEY || GROQ_CONFIG.API_KEY === 'your-groq-api-key-here') {
-        console.log('GROQ_CONFIG.API_KEY:', GROQ_CONFIG.API_KEY);
-        setRecordings(prev => 
-          prev.map(r => 
-            r.id === recording.id 
-              ? { ...r, transcription: 'Transcription not available - Groq API key not configured', isTranscribing: false }
-              : r
-          )
-        );
-        return;
-      }
+  // Send a recording through provider.transcribe or provider.translate,
+  // cutting it into segments when it is over the upload limit or made of
+  // several takes
+  const runProvider = async (recording, fileSize, config, method) => {
+    if (needsChunking(fileSize) || recording.audioSegments?.length) {
+      // Too large for one upload, or several files: transcribe segments and stitch them
+      return transcribeInSegments(
+        recording,
+        fileSize,
+        (segmentUri, extension) => config.provider[method](
+          {
+            uri: segmentUri,
+            mimeType: getMimeTypeForExtension(extension),
+            fileName: `segment${extension}`,
+          },
+          config
+        ),
+        (done, total) => updateRecording(recording.id, { transcriptionProgress: { done, total } }),
+        method === 'translate' ? 'translation-parts' : 'transcript-parts'
+      );
+    }
+    return config.provider[method](
+      {
+        uri: recording.uri,
+        mimeType: getRecordingMimeType(recording),
+        fileName: getRecordingFileName(recording),
+      },
+      config
+    );
+  };
 
-      // Validate audio file
-      if (!recording.uri) {
-        throw new Error('Audio file not found');
-      }
+  // Transcribe a recording with the provider chosen in settings. Run by the
+  // transcription queue, which retries when this throws.
+  const transcribeRecording = async (recording) => {
+    const config = getTranscriptionConfig(getSettings(), recording);
 
-      const fileInfo = await FileSystem.getInfoAsync(recording.uri);
-      if (!fileInfo.exists) {
-        throw new Error('Audio file does not exist');
-      }
+    // Check that the provider is usable before touching the file
+    const configProblem = getConfigProblem(config);
+    if (configProblem) {
+      console.log('Transcription skipped:', configProblem);
+      updateRecording(recording.id, {
+        transcription: `Transcription not available - ${configProblem}`,
+        isTranscribing: false,
+      });
+      return;
+    }
 
-      console.log('Starting Groq transcription for:', recording.uri);
-      console.log('File size:', fileInfo.size, 'bytes');
-      console.log('File exists:', fileInfo.exists);
+    // Validate audio file
+    if (!recording.uri) {
+      throw new Error('Audio file not found');
+    }
 
-      setIsTranscribing(true);
+    const fileInfo = await FileSystem.getInfoAsync(recording.uri);
+    if (!fileInfo.exists) {
+      throw new Error('Audio file does not exist');
+    }
 
-      // Prepare form data for Groq API
-      const formData = new FormData();
-      
-      // Add the audio file
-      formData.append('file', {
-        uri: recording.uri,
-        type: 'audio/m4a',
-        name: 'recording.m4a',
-      });
-      
-      // Add required parameters
-      formData.append('model', GROQ_CONFIG.MODEL);
-      formData.append('response_format', GROQ_CONFIG.RESPONSE_FORMAT);
-      formData.append('temperature', '0.0'); // More focused transcription
-      
-      // Optional language parameter
-      if (GROQ_CONFIG.LANGUAGE) {
-        formData.append('language', GROQ_CONFIG.LANGUAGE);
-      }
+    console.log(`Starting ${config.provider.label} transcription for:`, recording.uri);
+    console.log('File size:', fileInfo.size, 'bytes');
 
-      console.log('Sending request to Groq API...');
-      console.log('Endpoint:', GROQ_CONFIG.WHISPER_ENDPOINT);
-      console.log('Model:', GROQ_CONFIG.MODEL);
+    const result = await runProvider(recording, fileInfo.size, config, 'transcribe');
 
-      // Make API request to Groq
-      const response = await axios.post(
-        GROQ_CONFIG.WHISPER_ENDPOINT,
-        formData,
-        {
-          headers: {
-            'Authorization': `Bearer ${GROQ_CONFIG.API_KEY}`,
-            'Content-Type': 'multipart/form-data',
-          },
-          timeout: 30000, // 30 second timeout
-        }
-      );
+    // Extract transcription from response
+    const transcription = result.text || 'No transcription available';
+    console.log('Transcription successful:', transcription);
 
-      console.log('Response status:', response.status);
-      console.log('Response data:', response.data);
+    // The language asked for, or the one the server detected in auto mode
+    const detectedLanguage = config.language || result.language || null;
 
-      // Extract transcription from response
-      const transcription = response.data.text || 'No transcription available';
-      console.log('Groq transcription successful:', transcription);
-      
-      // Update the recording with transcription
-      setRecordings(prev => 
-        prev.map(r => 
-          r.id === recording.id 
-            ? { ...r, transcription: transcription, isTranscribing: false }
-            : r
-        )
+    // Optional English translation, kept next to the original. A failure here
+    // fails the job, so the queue retries both passes together.
+    let translation = null;
+    if (config.translate && detectedLanguage !== 'en') {
+      console.log('Translating to English:', recording.id);
+      const translated = await runProvider(recording, fileInfo.size, config, 'translate');
+      translation = translated.text || null;
+    }
+    const languageFields = { detectedLanguage, translation };
+
+    const timings = result.segments
+      ? { segments: result.segments, words: result.words || null }
+      : null;
+
+    // The recording may have been deleted while the request was running
+    if (!getRecording(recording.id)) {
+      console.log('Recording was deleted during transcription:', recording.id);
+      return;
+    }
+
+    // A transcript the user has edited stays current; the new result only
+    // goes into its history. Read the entry fresh in case of an edit meanwhile.
+    const isEdited = !!getRecording(recording.id)?.transcriptEdited;
+    await addTranscriptRevision(recording, { text: transcription, source: 'machine', timings }, !isEdited);
+
+    if (isEdited) {
+      updateRecording(recording.id, {
+        ...languageFields,
+        isTranscribing: false,
+        transcriptionFailed: false,
+        transcriptionProgress: null,
+      });
+      Alert.alert(
+        'Edited Transcript Kept',
+        'The new transcription was added to the history. Open History to switch to it.'
       );
+      return;
+    }
 
+    // Timings are kept out of the index, next to the audio
+    const hasTranscriptTimings = !!timings;
+    if (hasTranscriptTimings) {
+      await saveSidecar(recording.id, 'transcript', timings);
+    }
+    
+    // Update the recording with transcription, cut to its trimmed range
+    updateRecording(recording.id, {
+      transcription: getTrimmedTranscript(getRecording(recording.id), transcription, timings),
+      isTranscribing: false,
+      transcriptionFailed: false,
+      transcriptionProgress: null,
+      hasTranscriptTimings,
+      ...languageFields,
+    });
+  };
+
+  const runTranscriptionJob = async (job) => {
+    // Read the entry fresh, it may have changed since the job was queued
+    const recording = getRecording(job.recordingId);
+    if (!recording) {
+      console.log('Recording no longer exists, dropping transcription job:', job.recordingId);
+      return;
+    }
+
+    try {
+      await transcribeRecording(recording);
     } catch (error) {
-      console.error('Groq transcription error:', error);
+      console.error('Transcription error:', error);
       console.error('Error details:', {
         message: error.message,
         response: error.response?.data,
         status: error.response?.status,
         request: error.request ? 'Request made but no response' : 'No request made'
       });
-      
-      let errorMessage = 'Failed to transcribe audio';
-      
-      if (error.response) {
-        const status = error.response.status;
-        const apiMessage = error.response.data?.error?.message || 'Unknown API error';
-        
-        console.log('API Error Response:', error.response.data);
-        
-        switch (status) {
-          case 401:
-            errorMessage = 'Invalid Groq API key';
-            break;
-          case 413:
-            errorMessage = 'Audio file too large (max 25MB)';
-            break;
-          case 429:
-            errorMessage = 'API rate limit exceeded';
-            break;
-          case 400:
-            errorMessage = `Bad request: ${apiMessage}`;
-            break;
-          default:
-            errorMessage = `API Error (${status}): ${apiMessage}`;
-        }
-      } else if (error.request) {
-        errorMessage = 'Network error - check internet connection';
-      }
-      
-      // Update with error message
-      setRecordings(prev => 
-        prev.map(r => 
-          r.id === recording.id 
-            ? { ...r, transcription: `Transcription failed: ${errorMessage}`, isTranscribing: false }
-            : r
-        )
-      );
-
-      // Show error to user
-      Alert.alert('Transcription Failed', errorMessage);
-    } finally {
-      setIsTranscribing(false);
+      throw error;
     }
   };
 
-  // Two-finger gesture handler for disk
-  const panResponder = PanResponder.create({
-    onStartShouldSetPanResponder: (evt) => evt.nativeEvent.touches.length === 2,
-    onMoveShouldSetPanResponder: (evt) => evt.nativeEvent.touches.length === 2,
-    onPanResponderGrant: () => {
-      if (isRecording && !isPaused) {
-        pauseRecording();
-        Animated.timing(diskScale, {
-          toValue: 0.95,
-          duration: 200,
-          useNativeDriver: true,
-        }).start();
-      }
-    },
-    onPanResponderRelease: () => {
-      if (isRecording && isPaused) {
-        pauseRecording();
-        Animated.timing(diskScale, {
-          toValue: 1,
-          duration: 200,
-          useNativeDriver: true,
-        }).start();
-      }
-    },
-  });
+  // Called once the queue stops retrying a job
+  const onTranscriptionJobFailed = (job, error) => {
+    const errorMessage = describeTranscriptionError(error, getTranscriptionConfig(getSettings()));
+    
+    // Update with error message, keeping an edited transcript in place
+    const isEdited = !!getRecording(job.recordingId)?.transcriptEdited;
+    updateRecording(job.recordingId, {
+      ...(isEdited ? {} : { transcription: `Transcription failed: ${errorMessage}` }),
+      isTranscribing: false,
+      transcriptionFailed: !isEdited,
+      transcriptionProgress: null,
+    });
 
-  // Show loading screen while fonts are loading
-  if (!fontsLoaded && !fontError) {
-    return (
-      <SafeAreaView style={styles.loadingContainer}>
-        <Text style={styles.loadingText}>Loading TP-7...</Text>
-      </SafeAreaView>
-    );
-  }
+    // Show error to user
+    Alert.alert('Transcription Failed', errorMessage);
+  };
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <StatusBar style="dark" />
-      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
-        
-        {/* Main TP-7 Device */}
-        <View style={styles.tp7Container}>
-          {/* Top Section */}
-          <View style={styles.topSection}>
-            {/* Top Left Dots */}
-            <View style={styles.topLeftDots}>
-              <View style={styles.smallDot} />
-              <View style={styles.smallDot} />
-            </View>
+  const {
+    enqueue: enqueueTranscription,
+    cancel: cancelTranscription,
+    hasJob: hasTranscriptionJob,
+    getJobStatus: getTranscriptionJobStatus,
+    isLoaded: isTranscriptionQueueLoaded,
+  } = useTranscriptionQueue({
+    runJob: runTranscriptionJob,
+    onJobFailed: onTranscriptionJobFailed,
+    // Jobs of recordings missing from an unreadable library would be dropped
+    enabled: isLibraryLoaded && !libraryLoadError && isSettingsLoaded,
+  });
 
-            {/* Top Right Display */}
-            <View style={[styles.display, isRecording && styles.displayRecording]}>
-              <Text style={[styles.timeText, isRecording && styles.timeTextRecording]}>
-                {isRecording || recordingDuration > 0 ? formatDuration(recordingDuration) : '0.00.00'}
-              </Text>
-              <View style={styles.dateRow}>
-                <Text style={styles.dateText}>TODAY</Text>
+  // Manually queue a recording for (re-)transcription. The current transcript
+  // is saved to the history first; an edited one also stays on screen.
+  const retryTranscription = async (recording) => {
+    try {
+      await ensureTranscriptHistory(recording);
+    } catch (error) {
+      console.error('Failed to save transcript history:', error);
+      Alert.alert('Error', 'Could not save the current transcript before re-transcribing.');
+      return;
+    }
+
+    updateRecording(recording.id, {
+      ...(recording.transcriptEdited ? {} : { transcription: 'Transcribing...' }),
+      isTranscribing: true,
+      transcriptionFailed: false,
+    });
+    enqueueTranscription(recording.id);
+  };
+
+  // Change a recording's language or translation override and transcribe it again
+  const changeTranscriptionOptions = (recording, patch) => {
+    updateRecording(recording.id, patch);
+    if (recording.uri) {
+      retryTranscription({ ...recording, ...patch });
+    }
+  };
+
+  // Save a user edit of a transcript as a new revision
+  const saveTranscriptEdit = async (recording, text) => {
+    if (text.trim() === (recording.transcription || '').trim()) {
+      return;
+    }
+    try {
+      await addTranscriptRevision(recording, { text, source: 'edit' }, true);
+      updateRecording(recording.id, {
+        transcription: text,
+        transcriptEdited: true,
+        // Machine timings no longer line up with edited text
+        hasTranscriptTimings: false,
+      });
+    } catch (error) {
+      console.error('Failed to save transcript edit:', error);
+      Alert.alert('Error', 'Could not save the transcript.');
+    }
+  };
+
+  // Switch the transcript back to an earlier revision
+  const revertTranscript = async (recording, index) => {
+    try {
+      const history = await setCurrentRevision(recording, index);
+      const revision = history.revisions[index];
+      if (revision.timings) {
+        await saveSidecar(recording.id, 'transcript', revision.timings);
+      }
+      const isEdit = revision.source === 'edit';
+      updateRecording(recording.id, {
+        transcription: isEdit ? revision.text : getTrimmedTranscript(recording, revision.text, revision.timings),
+        transcriptEdited: revision.source === 'edit',
+        hasTranscriptTimings: !!revision.timings,
+      });
+    } catch (error) {
+      console.error('Failed to revert transcript:', error);
+      Alert.alert('Error', 'Could not restore that version of the transcript.');
+    }
+  };
+
+  // Trim a recording to a range of its file, or back to the whole file when
+  // range is null. The file itself is never changed.
+  const applyEdit = async (recording, range) => {
+    const fileMillis = getDurationMillis(recording);
+    const isWholeFile = !range || (range.startMs <= 0 && range.endMs >= fileMillis);
+    const edit = isWholeFile ? null : { startMs: Math.round(range.startMs), endMs: Math.round(range.endMs) };
+    const playable = getPlayableRange({ ...recording, edit });
+
+    if (playingId === recording.id) {
+      await stopPlayback();
+    }
+
+    const patch = {
+      edit,
+      // Keep the file length; older entries only had the formatted duration
+      durationMillis: fileMillis,
+      peaks: await getRangePeaks(recording, playable),
+    };
+
+    // Machine transcripts follow the trim; their timings stay in file time
+    if (recording.hasTranscriptTimings && !recording.transcriptEdited) {
+      const timings = await loadSidecar(recording.id, 'transcript').catch(() => null);
+      if (timings) {
+        patch.transcription = textFromTimings(clipTimings(timings, playable));
+      }
+    }
+
+    updateRecording(recording.id, patch);
+  };
+
+  // Split a recording in two at a point of its file. The second part is a new
+  // entry playing the same file, so nothing is copied or re-encoded.
+  const splitRecording = async (recording, splitMs) => {
+    const range = getPlayableRange(recording);
+    if (splitMs - range.startMs < MIN_EDIT_MS || range.endMs - splitMs < MIN_EDIT_MS) {
+      Alert.alert('Cannot Split', 'Both parts need to be at least half a second long.');
+      return;
+    }
+
+    const id = Date.now();
+    try {
+      // Sidecars are in file time, so the new entry can use them as they are
+      for (const name of ['levels', 'transcript']) {
+        const data = await loadSidecar(recording.id, name);
+        if (data) {
+          await saveSidecar(id, name, data);
+        }
+      }
+
+      addRecording({
+        ...recording,
+        id,
+        createdAt: recording.createdAt + (splitMs - range.startMs),
+        title: recording.title ? `${recording.title} (2)` : null,
+      });
+      await applyEdit(recording, { startMs: range.startMs, endMs: splitMs });
+      await applyEdit(getRecording(id), { startMs: splitMs, endMs: range.endMs });
+    } catch (error) {
+      console.error('Failed to split recording:', error);
+      Alert.alert('Error', 'Could not split the recording.');
+    }
+  };
+
+  // Write the trimmed range of a PCM recording to a new file, added as a new recording
+  const renderEdit = async (recording) => {
+    const range = getPlayableRange(recording);
+    const id = Date.now();
+    const fileName = `recording-${id}.wav`;
+
+    try {
+      await renderEditToWav(recording, range, resolveRecordingUri({ fileName }));
+
+      const envelope = await loadSidecar(recording.id, 'levels');
+      if (envelope) {
+        await saveSidecar(id, 'levels', sliceEnvelope(envelope, range));
+      }
+
+      const timings = recording.hasTranscriptTimings
+        ? await loadSidecar(recording.id, 'transcript')
+        : null;
+      if (timings) {
+        await saveSidecar(id, 'transcript', clipTimings(timings, range));
+      }
+
+      addRecording({
+        ...recording,
+        id,
+        edit: null,
+        // The rendered file has all of the takes
+        audioSegments: null,
+        createdAt: recording.createdAt + range.startMs,
+        title: `${recording.title || `Recorded ${recording.time}`} (trimmed)`,
+        fileName,
+        durationMillis: range.durationMillis,
+        markers: clipMarkers(recording.markers, range),
+        peaks: await getRangePeaks(recording, range),
+        transcription: getTrimmedTranscript(recording, recording.transcription, timings),
+        hasTranscriptTimings: !!timings,
+      });
+      Alert.alert('Trim Rendered', 'The trimmed audio was saved as a new recording.');
+    } catch (error) {
+      console.error('Failed to render edit:', error);
+      await FileSystem.deleteAsync(resolveRecordingUri({ fileName }), { idempotent: true });
+      Alert.alert('Error', `Could not render the trimmed audio: ${error.message}`);
+    }
+  };
+
+  // Record a take onto the end of a recording, or punch in at punchInMs
+  // (playable time), replacing everything from there on
+  const continueRecording = async (recording, punchInMs = null) => {
+    if (isRecording) {
+      return;
+    }
+    await stopPlayback();
+    setDetailsId(null);
+    takeTargetRef.current = {
+      recordingId: recording.id,
+      punchInMs,
+      baseMs: punchInMs ?? getDurationMillis(recording),
+      // Entries made before formats were stored are AAC
+      format: recording.format || FALLBACK_RECORDING_FORMAT,
+    };
+    setTakeTarget(takeTargetRef.current);
+    await startRecording();
+  };
+
+  // Add a finished take to a recording as its last segment. The recording's
+  // levels and markers are moved onto its timeline, cut at the punch-in
+  // point, and the whole recording is transcribed again.
+  const addTakeToRecording = async (recording, punchInMs, take) => {
+    if (!take.durationMillis) {
+      console.log('Take is empty, nothing added to recording:', recording.id);
+      await FileSystem.deleteAsync(resolveRecordingUri(take), { idempotent: true });
+      return;
+    }
+
+    // A running transcription is of audio that is about to change
+    cancelTranscription(recording.id);
+
+    const segments = getAudioSegments(recording);
+    const baseMs = Math.min(punchInMs ?? Infinity, getSegmentsDuration(segments));
+    const kept = cutSegments(segments, baseMs);
+    // A voice-activated take brings its own segments, its voiced spans
+    const audioSegments = [
+      ...kept,
+      ...(take.segments || [
+        { ...(take.fileName ? { fileName: take.fileName } : { uri: take.uri }), startMs: 0, endMs: take.durationMillis },
+      ]),
+    ];
+
+    // Sidecars of a single take are in file time; its timeline starts at the trim
+    const range = getPlayableRange(recording);
+    const keptRange = { startMs: range.startMs, endMs: range.startMs + baseMs };
+    const envelope = await loadSidecar(recording.id, 'levels').catch(() => null);
+    const keptLevels = sliceEnvelope(envelope || [], keptRange);
+    // Whole intervals up to the take, so its levels line up with its audio
+    const levels = [
+      ...Array.from({ length: Math.round(baseMs / ENVELOPE_INTERVAL_MS) }, (_, i) => keptLevels[i] || 0),
+      ...take.envelope,
+    ];
+    saveSidecar(recording.id, 'levels', levels).catch(error => {
+      console.error('Failed to save level envelope:', error);
+    });
+
+    const patch = {
+      audioSegments,
+      durationMillis: getSegmentsDuration(audioSegments),
+      edit: null,
+      markers: [
+        ...clipMarkers(recording.markers, keptRange).filter(marker => marker.millis < baseMs),
+        ...take.markers.map(marker => ({ ...marker, millis: marker.millis + baseMs })),
+      ],
+      peaks: peaksFromEnvelope(levels),
+      hasTranscriptTimings: false,
+    };
+    updateRecording(recording.id, patch);
+    console.log(`Added take to recording ${recording.id} at ${baseMs}ms, now ${audioSegments.length} segments`);
+
+    // Take files replaced by a punch-in or trimmed away, unless another
+    // recording (e.g. the other part of a split) still plays them. The
+    // original file is always kept.
+    const inUse = new Set([
+      ...getAudioFileNames({ ...recording, ...patch }),
+      ...recordings.filter(r => r.id !== recording.id).flatMap(getAudioFileNames),
+    ]);
+    const dropped = getAudioFileNames(recording).filter(name => !inUse.has(name));
+    for (const name of dropped) {
+      await FileSystem.deleteAsync(resolveRecordingUri({ fileName: name }), { idempotent: true });
+    }
+
+    await retryTranscription({ ...recording, ...patch });
+  };
+
+  // Confirm, then stop anything using the recording and delete it with its files
+  const deleteRecording = (recording) => {
+    Alert.alert(
+      'Delete Recording',
+      'This deletes the audio file and its transcript. It cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (playingId === recording.id) {
+              await stopPlayback();
+            }
+            cancelTranscription(recording.id);
+            setDetailsId(null);
+            setSelectedIds(prev => prev && prev.filter(id => id !== recording.id));
+            try {
+              await removeRecording(recording.id);
+            } catch (error) {
+              console.error('Failed to delete recording files:', error);
+              Alert.alert('Error', 'The recording was removed, but some of its files could not be deleted.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]);
+  };
+
+  const runExport = async () => {
+    const toExport = exportIds.map(getRecording).filter(Boolean);
+    setIsExporting(true);
+    try {
+      await exportRecordings(toExport, {
+        format: settings.exportFormat,
+        includeAudio: settings.exportIncludeAudio,
+      });
+      setExportIds(null);
+      setSelectedIds(null);
+    } catch (error) {
+      console.error('Export failed:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Tell the user the library couldn't be read rather than show it empty
+  useEffect(() => {
+    if (libraryLoadError) {
+      Alert.alert(
+        'Library Not Loaded',
+        `Your recordings list could not be read (${libraryLoadError.message}). ` +
+          'It is left as it is on the device; recordings made now are not added to it. ' +
+          'If you went back to an older version of the app, update it again.'
+      );
+    }
+  }, [libraryLoadError]);
+
+  // Offer to recover takes that were cut off by a crash, one at a time. A
+  // take recovered into an unreadable library would be lost, so it waits.
+  useEffect(() => {
+    if (!isLibraryLoaded || libraryLoadError || !isTranscriptionQueueLoaded) {
+      return;
+    }
+
+    const askAbout = (title, message, buttons) => new Promise(resolve => {
+      Alert.alert(title, message, buttons.map(([text, value, style]) => ({
+        text,
+        style,
+        onPress: () => resolve(value),
+      })), { cancelable: false });
+    });
+
+    const recoverUnfinishedTakes = async () => {
+      const takes = await loadJournal();
+      for (const take of takes) {
+        const durationMillis = await inspectUnfinishedTake(take);
+        const startedAt = new Date(take.startedAt).toLocaleString('en-US');
+
+        // The file is missing or unreadable, e.g. an m4a take cut off before
+        // its index was written; it is only in the cache, so nothing is kept
+        if (durationMillis === null) {
+          await askAbout(
+            'Recording Lost',
+            `A recording started ${startedAt} was cut off and its file can't be played.`,
+            [['OK', 'ok']]
+          );
+          await discardTake(take);
+          continue;
+        }
+
+        const choice = await askAbout(
+          'Recover Recording?',
+          `A ${formatDuration(durationMillis)} recording started ${startedAt} ` +
+            'was not saved because the app closed.',
+          [['Discard', 'discard', 'destructive'], ['Recover', 'recover']]
+        );
+        if (choice === 'discard') {
+          await discardTake(take);
+          continue;
+        }
+
+        try {
+          const id = Date.now();
+          const fileName = await recoverTakeFile(take, id);
+          const entry = {
+            id,
+            createdAt: take.startedAt,
+            durationMillis,
+            transcription: 'Transcribing...',
+            time: new Date(take.startedAt).toLocaleTimeString('en-US', {
+              hour: '2-digit',
+              minute: '2-digit',
+              hour12: true
+            }),
+            fileName,
+            uri: resolveRecordingUri({ fileName }),
+            format: take.format,
+            markers: (take.markers || []).filter(marker => marker.millis <= durationMillis),
+            isTranscribing: true,
+          };
+          entry.peaks = await computePeaks(entry).catch(() => []);
+          addRecording(entry);
+          await removeJournaledTake(take.uri);
+          enqueueTranscription(id);
+          console.log('Recovered unfinished recording:', fileName);
+        } catch (error) {
+          console.error('Failed to recover recording:', error);
+          Alert.alert('Recovery Failed', `Could not recover the recording: ${error.message}`);
+        }
+      }
+    };
+
+    recoverUnfinishedTakes().catch(error => console.error('Failed to check for unfinished recordings:', error));
+  }, [isLibraryLoaded, isTranscriptionQueueLoaded]);
+
+  // Recordings saved mid-transcription by an older build have no queued job
+  useEffect(() => {
+    if (!isLibraryLoaded || !isTranscriptionQueueLoaded) {
+      return;
+    }
+    recordings
+      .filter(r => r.isTranscribing && !hasTranscriptionJob(r.id))
+      .forEach(r => enqueueTranscription(r.id));
+  }, [isLibraryLoaded, isTranscriptionQueueLoaded]);
+
+  // Build waveforms for recordings that were saved without one
+  useEffect(() => {
+    if (!isLibraryLoaded) {
+      return;
+    }
+
+    const computeMissingPeaks = async () => {
+      const missing = recordings.filter(r => r.peaks === undefined);
+      // One at a time so large files don't all get read at once
+      for (const recording of missing) {
+        try {
+          const peaks = await computePeaks(recording);
+          updateRecording(recording.id, { peaks });
+        } catch (error) {
+          console.error('Failed to compute waveform for recording:', recording.id, error);
+          updateRecording(recording.id, { peaks: [] });
+        }
+      }
+    };
+    computeMissingPeaks();
+  }, [isLibraryLoaded]);
+
+  // Jog wheel: one-finger rotation of the disk scrubs the loaded recording
+  const startJog = async (pageX, pageY) => {
+    if (!currentSound || !diskRef.current) {
+      return;
+    }
+
+    // Claim the jog synchronously so a quick release can't be missed
+    const jog = {
+      wasPlaying: false,
+      offsetMillis: 0,
+      positionMillis: 0,
+      durationMillis: 0,
+      lastSeekAt: 0,
+      lastAngle: null,
+      lastTime: Date.now(),
+      center: null,
+    };
+    jogRef.current = jog;
+    diskRotation.stopAnimation();
+
+    // The disk scrolls with the page, so find its center at the start of each jog
+    diskRef.current.measure((x, y, w, h, diskPageX, diskPageY) => {
+      jog.center = { x: diskPageX + w / 2, y: diskPageY + h / 2 };
+      jog.lastAngle = Math.atan2(pageY - jog.center.y, pageX - jog.center.x);
+    });
+
+    const status = await currentSound.getStatusAsync();
+    if (jogRef.current !== jog || !status.isLoaded || !status.durationMillis) {
+      return;
+    }
+
+    // Jog within the trimmed range, in the same time base as the UI
+    const range = playbackRangeRef.current;
+    jog.offsetMillis = range.startMs;
+    jog.positionMillis = Math.max(0, status.positionMillis - range.startMs);
+    jog.durationMillis = range.durationMillis;
+    jog.wasPlaying = status.isPlaying;
+
+    // Hold playback while scrubbing and resume it on release
+    if (status.isPlaying) {
+      await currentSound.pauseAsync();
+    }
+  };
+
+  const moveJog = (pageX, pageY) => {
+    const jog = jogRef.current;
+    if (!jog || !jog.center || !jog.durationMillis) {
+      return;
+    }
+
+    const angle = Math.atan2(pageY - jog.center.y, pageX - jog.center.x);
+    let delta = angle - jog.lastAngle;
+    // Unwrap across the -PI/PI boundary
+    if (delta > Math.PI) delta -= 2 * Math.PI;
+    if (delta < -Math.PI) delta += 2 * Math.PI;
+
+    const now = Date.now();
+    const revolutions = delta / (2 * Math.PI);
+    const revsPerSecond = Math.min(
+      JOG_MAX_REVS_PER_SECOND,
+      Math.abs(revolutions) / Math.max(1, now - jog.lastTime) * 1000
+    );
+    const msPerRevolution = DISK_MS_PER_REVOLUTION * (1 + JOG_ACCELERATION * revsPerSecond);
+
+    jog.positionMillis = Math.min(
+      jog.durationMillis,
+      Math.max(0, jog.positionMillis + revolutions * msPerRevolution)
+    );
+    jog.lastAngle = angle;
+    jog.lastTime = now;
+
+    diskRotation.setValue(jog.positionMillis / DISK_MS_PER_REVOLUTION);
+    setPlaybackProgress(prev => ({
+      ...prev,
+      [playingId]: (jog.positionMillis / jog.durationMillis) * 100
+    }));
+
+    // Throttle seeks so the player isn't flooded while the finger moves
+    if (now - jog.lastSeekAt >= JOG_SEEK_INTERVAL_MS) {
+      jog.lastSeekAt = now;
+      currentSound?.setPositionAsync(Math.floor(jog.offsetMillis + jog.positionMillis)).catch(() => {});
+    }
+  };
+
+  const endJog = async () => {
+    const jog = jogRef.current;
+    jogRef.current = null;
+    if (!jog || !jog.durationMillis || !currentSound) {
+      return;
+    }
+
+    try {
+      await currentSound.setPositionAsync(Math.floor(jog.offsetMillis + jog.positionMillis));
+      if (jog.wasPlaying) {
+        await applyPlaybackRate(currentSound, getRecording(playingId));
+        await currentSound.playAsync();
+      }
+    } catch (error) {
+      console.error('Error finishing jog:', error);
+    }
+  };
+
+  // Disk gestures: two fingers pause recording, one finger jogs through playback
+  const isJogAvailable = () => !isRecording && playingId !== null && !!currentSound;
+
+  const panResponder = PanResponder.create({
+    onStartShouldSetPanResponder: (evt) =>
+      evt.nativeEvent.touches.length === 2 || isJogAvailable(),
+    onMoveShouldSetPanResponder: (evt) =>
+      evt.nativeEvent.touches.length === 2 || isJogAvailable(),
+    // Keep the scroll view from taking over a circular drag
+    onPanResponderTerminationRequest: () => !jogRef.current,
+    onPanResponderGrant: (evt) => {
+      if (evt.nativeEvent.touches.length < 2 && isJogAvailable()) {
+        startJog(evt.nativeEvent.pageX, evt.nativeEvent.pageY);
+        return;
+      }
+      if (isRecording && !isPaused) {
+        pauseRecording();
+        Animated.timing(diskScale, {
+          toValue: 0.95,
+          duration: 200,
+          useNativeDriver: true,
+        }).start();
+      }
+    },
+    onPanResponderMove: (evt) => {
+      if (jogRef.current) {
+        moveJog(evt.nativeEvent.pageX, evt.nativeEvent.pageY);
+      }
+    },
+    onPanResponderTerminate: () => {
+      if (jogRef.current) {
+        endJog();
+      }
+    },
+    onPanResponderRelease: () => {
+      if (jogRef.current) {
+        endJog();
+        return;
+      }
+      if (isRecording && isPaused) {
+        pauseRecording();
+        Animated.timing(diskScale, {
+          toValue: 1,
+          duration: 200,
+          useNativeDriver: true,
+        }).start();
+      }
+    },
+  });
+
+  const playingRecording = recordings.find(r => r.id === playingId);
+  const searchResults = searchRecordings(searchQuery);
+  const searchTerms = searchResults ? getQueryTerms(searchQuery) : [];
+  const allTags = getAllTags(recordings);
+  // A tag filter lapses once no recording has the tag any more
+  const activeTag = allTags.includes(filterTag) ? filterTag : null;
+  const visibleRecordings = recordings.filter(r =>
+    (!searchResults || searchResults.has(r.id)) &&
+    (!filterStarred || r.starred) &&
+    (!activeTag || (r.tags || []).includes(activeTag))
+  );
+  const sections = groupRecordingsByDay(visibleRecordings, today);
+
+  // The device face's cursor moves through the list as shown. It falls back
+  // to the newest recording when the selected one is filtered out or deleted.
+  const listOrder = sections.flatMap(section => section.data);
+  const cursorRecording = listOrder.find(r => r.id === cursorId) || listOrder[0] || null;
+  const displayedRecording = isRecording ? null : playingRecording || cursorRecording;
+
+  const moveCursor = (direction) => {
+    const index = listOrder.indexOf(cursorRecording);
+    const next = listOrder[Math.min(listOrder.length - 1, Math.max(0, index + direction))];
+    if (next) {
+      setCursorId(next.id);
+    }
+  };
+
+  // ▲ drops a marker while recording; ▲ and ▼ step through markers during
+  // playback and move the cursor otherwise
+  const pressArrow = (direction) => {
+    if (isRecording) {
+      if (direction < 0) {
+        dropMarker();
+      }
+    } else if (playingId !== null) {
+      jumpToMarker(direction);
+    } else {
+      moveCursor(direction);
+    }
+  };
+
+  // The second ▲ returns the cursor to the top of the list
+  const moveCursorToTop = () => {
+    if (!isRecording && listOrder.length > 0) {
+      setCursorId(listOrder[0].id);
+    }
+  };
+
+  // R plays the shown recording again from its start
+  const replaySelected = () => {
+    if (!isRecording && displayedRecording?.uri) {
+      playRecording(displayedRecording, { millis: 0 });
+    }
+  };
+
+  // The black button opens the shown recording's details
+  const openSelectedDetails = () => {
+    if (!isRecording && displayedRecording) {
+      setDetailsId(displayedRecording.id);
+    }
+  };
+
+  // The display shows the selected or playing recording, otherwise today
+  const displayDate = getDisplayDate(displayedRecording ? displayedRecording.createdAt : Date.now(), today);
+  // A take added to a recording counts on from where it joins
+  const takeMillis = (takeTarget?.baseMs || 0) + recordingMillis;
+  const takeTargetRecording = takeTarget && getRecording(takeTarget.recordingId);
+  let displayTime = '0.00.00';
+  if (isRecording || recordingMillis > 0) {
+    displayTime = formatDuration(takeMillis);
+  } else if (playingRecording) {
+    displayTime = formatDuration(playbackPosition);
+  } else if (cursorRecording) {
+    displayTime = formatDuration(getPlayableRange(cursorRecording).durationMillis);
+  }
+
+  // Show loading screen while fonts are loading
+  if (!fontsLoaded && !fontError) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading TP-7...</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar style="dark" />
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        
+        {/* Main TP-7 Device */}
+        <View style={styles.tp7Container}>
+          {/* Top Section */}
+          <View style={styles.topSection}>
+            {/* Top Left Dots */}
+            <View style={styles.topLeftDots}>
+              <View style={styles.smallDot} />
+              <View style={styles.smallDot} />
+            </View>
+
+            {/* Top Right Display. Tapping it switches the tenths view of the counter. */}
+            <Pressable
+              style={[
+                styles.display,
+                isRecording && styles.displayRecording,
+                voxState === 'listening' && styles.displayListening,
+              ]}
+              onPress={() => updateSettings({ displayTenths: !settings.displayTenths })}
+            >
+              <Text style={[styles.timeText, isRecording && styles.timeTextRecording]}>
+                {displayTime}
+                {isRecording && settings.displayTenths && (
+                  <Text style={styles.timeTenths}>.{getTenths(takeMillis)}</Text>
+                )}
+              </Text>
+              {isRecording && isInterrupted && (
+                <Text style={[styles.displayTitle, styles.displayVoxText]}>INTERRUPTED</Text>
+              )}
+              {isRecording && !isInterrupted && voxState && (
+                <Text style={[styles.displayTitle, styles.displayVoxText]}>
+                  {voxState === 'listening' ? 'VOX · LISTENING' : 'VOX · REC'}
+                </Text>
+              )}
+              {isRecording && takeTargetRecording && (
+                <Text style={styles.displayTitle} numberOfLines={1}>
+                  {takeTarget.punchInMs === null ? '+ ' : 'PUNCH IN · '}
+                  {takeTargetRecording.title || `Recorded ${takeTargetRecording.time}`}
+                </Text>
+              )}
+              {displayedRecording && (
+                <Text style={styles.displayTitle} numberOfLines={1}>
+                  {displayedRecording.title || `Recorded ${displayedRecording.time}`}
+                </Text>
+              )}
+              <View style={styles.dateRow}>
+                <Text style={styles.dateText}>{displayDate.label}</Text>
+                {isRecording && markerCount > 0 && (
+                  <Text style={styles.markerCountText}>◆{markerCount}</Text>
+                )}
                 <View style={styles.dateBox}>
-                  <Text style={styles.dateNumber}>13</Text>
+                  <Text style={styles.dateNumber}>{displayDate.day}</Text>
                 </View>
               </View>
-            </View>
+            </Pressable>
 
             {/* Orange Square Top Right */}
             <View style={styles.orangeSquareTop} />
@@ -752,24 +2002,26 @@ export default function App() {
             {/* Left Controls */}
             <View style={styles.leftControls}>
               <View style={styles.arrowGroup}>
-                <TouchableOpacity style={styles.arrowButton}>
+                <TouchableOpacity style={styles.arrowButton} onPress={() => pressArrow(-1)}>
                   <Text style={styles.arrowText}>▲</Text>
                 </TouchableOpacity>
-                <TouchableOpacity style={styles.arrowButton}>
+                <TouchableOpacity style={styles.arrowButton} onPress={moveCursorToTop}>
                   <Text style={styles.arrowText}>▲</Text>
                 </TouchableOpacity>
               </View>
               <View style={styles.spacer} />
               <View style={styles.bottomArrowGroup}>
-                <TouchableOpacity style={styles.arrowButton}>
+                <TouchableOpacity style={styles.arrowButton} onPress={() => pressArrow(1)}>
                   <Text style={[styles.arrowText, { transform: [{ rotate: '180deg' }] }]}>▲</Text>
                 </TouchableOpacity>
-                <Text style={styles.rLabel}>R</Text>
+                <TouchableOpacity onPress={replaySelected}>
+                  <Text style={styles.rLabel}>R</Text>
+                </TouchableOpacity>
               </View>
             </View>
 
             {/* Central Disk */}
-            <View style={styles.diskContainer} {...panResponder.panHandlers}>
+            <View ref={diskRef} style={styles.diskContainer} {...panResponder.panHandlers}>
               <Animated.View 
                 style={[
                   styles.largeDisk,
@@ -792,7 +2044,7 @@ export default function App() {
             </View>
 
             {/* Bottom Left Black Circle */}
-            <View style={styles.bottomLeftCircle} />
+            <TouchableOpacity style={styles.bottomLeftCircle} onPress={openSelectedDetails} />
           </View>
 
           {/* Bottom Control Section */}
@@ -800,38 +2052,42 @@ export default function App() {
             <TouchableOpacity 
               style={[styles.bottomControlButton, { opacity: 1.0 }]}
               onPress={isRecording ? stopRecording : startRecording}
+              // Long press switches voice activation on or off between takes
+              onLongPress={isRecording ? null : () => updateSettings({ voxEnabled: !settings.voxEnabled })}
             >
               <View style={[
                 styles.orangeCircle, 
                 { 
                   backgroundColor: isRecording ? '#ff3333' : '#f0630d',
                   opacity: isRecording ? 0.5 : 1.0
-                }
+                },
+                // A ring in voice-activated mode, filled while sound is recorded
+                settings.voxEnabled && voxState !== 'recording' && styles.orangeCircleVox,
               ]} />
             </TouchableOpacity>
             
             <TouchableOpacity 
               style={styles.bottomControlButton}
-              onPress={playMostRecentRecording}
+              onPress={() => playSelectedRecording(cursorRecording)}
             >
-              <Text style={styles.playButton}>▶</Text>
+              <Text style={styles.playButton}>
+                {playingRecording && playingRecording.id === cursorRecording?.id && !isPlaybackPaused ? '⏸' : '▶'}
+              </Text>
             </TouchableOpacity>
             
             <TouchableOpacity 
               style={styles.bottomControlButton}
-              onPress={stopRecording}
+              onPress={stopSelected}
             >
               <View style={styles.blackSquare} />
             </TouchableOpacity>
             
             <View style={styles.levelIndicator}>
-              <View style={styles.levelBars}>
-                <View style={[styles.levelBar, { backgroundColor: (isRecording || (playingId && !isPlaybackPaused)) ? '#f0630d' : '#e0e0e0' }]} />
-                <View style={[styles.levelBar, { backgroundColor: (isRecording || (playingId && !isPlaybackPaused)) ? '#f0630d' : '#e0e0e0' }]} />
-                <View style={[styles.levelBar, { backgroundColor: (isRecording || (playingId && !isPlaybackPaused)) ? '#f0630d' : '#e0e0e0' }]} />
-                <View style={[styles.levelBar, { backgroundColor: (isRecording || (playingId && !isPlaybackPaused)) ? '#f0630d' : '#e0e0e0' }]} />
-                <View style={[styles.levelBar, { backgroundColor: (isRecording || (playingId && !isPlaybackPaused)) ? '#f0630d' : '#e0e0e0' }]} />
-              </View>
+              <LevelMeter
+                level={meter.level}
+                peak={meter.peak}
+                isClipping={meter.isClipping}
+              />
             </View>
           </View>
         </View>
@@ -856,60 +2112,966 @@ export default function App() {
           </Text>
         </TouchableOpacity>
 
+        {/* Settings */}
+        <TouchableOpacity
+          style={styles.settingsToggle}
+          onPress={() => setShowSettings(!showSettings)}
+        >
+          <Text style={styles.settingsToggleText}>
+            {showSettings ? 'Hide Settings' : 'Settings'}
+          </Text>
+        </TouchableOpacity>
+        {showSettings && (
+          <SettingsPanel settings={settings} onChange={updateSettings} />
+        )}
+
         {/* Recordings List */}
         <View style={styles.recordingsSection}>
-          {recordings.length === 0 ? (
-            <Text style={styles.noRecordingsText}>No recordings yet</Text>
-          ) : (
-            <>
-              {recordings.filter(r => r.section === 'Today').length > 0 && (
-                <>
-                  <Text style={styles.sectionTitle}>Today</Text>
-                  {recordings.filter(r => r.section === 'Today').map((recording) => (
-                    <RecordingItem 
-                      key={recording.id} 
-                      recording={recording} 
-                      isPlaying={playingId === recording.id && !isPlaybackPaused}
-                      isPaused={playingId === recording.id && isPlaybackPaused}
-                      progress={playbackProgress[recording.id] || 0}
-                      onPlay={() => playRecording(recording)}
-                      onPause={pausePlayback}
-                    />
-                  ))}
-                </>
-              )}
-              
-              {recordings.filter(r => r.section === 'Yesterday').length > 0 && (
+          {recordings.length > 0 && (
+            <TextInput
+              style={styles.searchInput}
+              value={searchQuery}
+              placeholder="Search recordings"
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              autoCorrect={false}
+              clearButtonMode="while-editing"
+              onChangeText={setSearchQuery}
+            />
+          )}
+          {recordings.length > 0 && (
+            <View style={styles.listActions}>
+              {selectedIds ? (
                 <>
-                  <Text style={styles.sectionTitle}>Yesterday</Text>
-                  {recordings.filter(r => r.section === 'Yesterday').map((recording) => (
-                    <RecordingItem 
-                      key={recording.id} 
-                      recording={recording} 
-                      isPlaying={playingId === recording.id && !isPlaybackPaused}
-                      isPaused={playingId === recording.id && isPlaybackPaused}
-                      progress={playbackProgress[recording.id] || 0}
-                      onPlay={() => playRecording(recording)}
-                      onPause={pausePlayback}
-                    />
-                  ))}
+                  <TouchableOpacity onPress={() => setSelectedIds(visibleRecordings.map(r => r.id))}>
+                    <Text style={styles.listAction}>Select All</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => setExportIds(selectedIds)}
+                    disabled={selectedIds.length === 0}
+                  >
+                    <Text style={[styles.listAction, selectedIds.length === 0 && styles.listActionDisabled]}>
+                      Export ({selectedIds.length})
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => setSelectedIds(null)}>
+                    <Text style={styles.listAction}>Done</Text>
+                  </TouchableOpacity>
                 </>
+              ) : (
+                <TouchableOpacity onPress={() => setSelectedIds([])}>
+                  <Text style={styles.listAction}>Select</Text>
+                </TouchableOpacity>
               )}
-            </>
+            </View>
+          )}
+          {(allTags.length > 0 || filterStarred || recordings.some(r => r.starred)) && (
+            <View style={styles.filterRow}>
+              <TouchableOpacity
+                style={[styles.optionChip, filterStarred && styles.optionChipSelected]}
+                onPress={() => setFilterStarred(!filterStarred)}
+              >
+                <Text style={[styles.optionChipText, filterStarred && styles.optionChipTextSelected]}>
+                  ★ Starred
+                </Text>
+              </TouchableOpacity>
+              {allTags.map(tag => (
+                <TouchableOpacity
+                  key={tag}
+                  style={[styles.optionChip, activeTag === tag && styles.optionChipSelected]}
+                  onPress={() => setFilterTag(activeTag === tag ? null : tag)}
+                >
+                  <Text style={[styles.optionChipText, activeTag === tag && styles.optionChipTextSelected]}>
+                    #{tag}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          {recordings.length === 0 ? (
+            <Text style={styles.noRecordingsText}>No recordings yet</Text>
+          ) : visibleRecordings.length === 0 ? (
+            <Text style={styles.noRecordingsText}>No matches</Text>
+          ) : (
+            sections.map(section => (
+              <React.Fragment key={section.key}>
+                <Text style={styles.sectionTitle}>{section.title}</Text>
+                {section.data.map((recording) => (
+                  <RecordingItem 
+                    key={recording.id} 
+                    recording={recording} 
+                    isCursor={cursorRecording?.id === recording.id}
+                    isPlaying={playingId === recording.id && !isPlaybackPaused}
+                    isPaused={playingId === recording.id && isPlaybackPaused}
+                    progress={playbackProgress[recording.id] || 0}
+                    onPlay={() => playRecording(recording)}
+                    onPause={pausePlayback}
+                    onSeek={(fraction) => seekRecording(recording, { fraction })}
+                    onSeekToTime={(millis) => seekRecording(recording, { millis })}
+                    positionMillis={playingId === recording.id ? playbackPosition : null}
+                    onChangeRate={(rate) => changePlaybackRate(recording, rate)}
+                    transcriptionStatus={getTranscriptionJobStatus(recording.id)}
+                    onRetryTranscription={() => retryTranscription(recording)}
+                    searchTerms={searchTerms}
+                    onSaveTranscript={(text) => saveTranscriptEdit(recording, text)}
+                    onRevertTranscript={(index) => revertTranscript(recording, index)}
+                    onExport={() => setExportIds([recording.id])}
+                    defaultLanguage={settings.transcriptionLanguage}
+                    defaultTranslate={settings.translateToEnglish}
+                    onChangeTranscriptionOptions={(patch) => changeTranscriptionOptions(recording, patch)}
+                    onOpenDetails={() => setDetailsId(recording.id)}
+                    onToggleStarred={() => updateRecording(recording.id, { starred: !recording.starred })}
+                    onDelete={() => deleteRecording(recording)}
+                    isSelected={selectedIds ? selectedIds.includes(recording.id) : null}
+                    onToggleSelected={() => toggleSelected(recording.id)}
+                  />
+                ))}
+              </React.Fragment>
+            ))
           )}
         </View>
       </ScrollView>
+
+      <ExportSheet
+        count={exportIds ? exportIds.length : 0}
+        visible={exportIds !== null}
+        settings={settings}
+        onChange={updateSettings}
+        isExporting={isExporting}
+        onExport={runExport}
+        onClose={() => setExportIds(null)}
+      />
+
+      <RecordingDetailsSheet
+        recording={detailsId !== null ? getRecording(detailsId) : null}
+        punchInMs={detailsId !== null && playingId === detailsId ? playbackPosition : null}
+        onSave={(patch) => {
+          updateRecording(detailsId, patch);
+          setDetailsId(null);
+        }}
+        onDelete={() => deleteRecording(getRecording(detailsId))}
+        onTrim={() => {
+          setTrimId(detailsId);
+          setDetailsId(null);
+        }}
+        onContinue={() => continueRecording(getRecording(detailsId))}
+        onPunchIn={() => continueRecording(getRecording(detailsId), playbackPosition)}
+        onClose={() => setDetailsId(null)}
+      />
+
+      <TrimEditor
+        recording={trimId !== null ? getRecording(trimId) : null}
+        onSave={(range) => {
+          applyEdit(getRecording(trimId), range);
+          setTrimId(null);
+        }}
+        onSplit={(splitMs) => {
+          splitRecording(getRecording(trimId), splitMs);
+          setTrimId(null);
+        }}
+        onRender={(range) => {
+          renderEdit({ ...getRecording(trimId), edit: range });
+          setTrimId(null);
+        }}
+        onClose={() => setTrimId(null)}
+      />
     </SafeAreaView>
   );
 }
 
-const RecordingItem = ({ recording, isPlaying, isPaused, progress, onPlay, onPause }) => {
+// Five-bar level meter. Bars light at -50, -40, -30, -20 and -10 dBFS; the
+// highest bar reached by the held peak stays lit, and everything turns red on clip.
+const LevelMeter = ({ level, peak, isClipping }) => {
+  const threshold = (index) => (index + 1) / (LEVEL_BAR_COUNT + 1);
+  const litColor = isClipping ? '#ff3333' : '#f0630d';
+
+  let peakIndex = -1;
+  for (let i = 0; i < LEVEL_BAR_COUNT; i++) {
+    if (peak >= threshold(i)) {
+      peakIndex = i;
+    }
+  }
+
+  return (
+    <View style={styles.levelBars}>
+      {Array.from({ length: LEVEL_BAR_COUNT }, (_, i) => (
+        <View
+          key={i}
+          style={[
+            styles.levelBar,
+            { backgroundColor: level >= threshold(i) || i === peakIndex ? litColor : '#e0e0e0' }
+          ]}
+        />
+      ))}
+    </View>
+  );
+};
+
+// Waveform drawn from cached peaks, with the played part filled in orange
+const Waveform = ({ peaks, progress }) => {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  const onLayout = (event) => {
+    const { width, height } = event.nativeEvent.layout;
+    setSize({ width, height });
+  };
+
+  const barSlot = size.width / peaks.length;
+  const barWidth = Math.max(1, barSlot * 0.6);
+  const playedBars = Math.round((progress / 100) * peaks.length);
+
+  return (
+    <View style={styles.waveform} onLayout={onLayout}>
+      {size.width > 0 && (
+        <Svg width={size.width} height={size.height}>
+          {peaks.map((peak, i) => {
+            // Keep silent stretches visible as a thin line
+            const barHeight = Math.max(2, peak * size.height);
+            return (
+              <Rect
+                key={i}
+                x={i * barSlot}
+                y={(size.height - barHeight) / 2}
+                width={barWidth}
+                height={barHeight}
+                fill={i < playedBars ? '#f0630d' : '#cccccc'}
+              />
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+// Row of mutually exclusive options, used by the settings panel
+const OptionRow = ({ label, options, value, onChange }) => (
+  <View style={styles.optionRow}>
+    <Text style={styles.optionLabel}>{label}</Text>
+    <View style={styles.optionChoices}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option.value)}
+          style={[styles.optionChip, option.value === value && styles.optionChipSelected]}
+          onPress={() => onChange(option.value)}
+        >
+          <Text style={[styles.optionChipText, option.value === value && styles.optionChipTextSelected]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </View>
+);
+
+// Free-text setting, saved when editing ends rather than on every keystroke
+const TextSetting = ({ label, value, placeholder, secure, onChange }) => {
+  const [draft, setDraft] = useState(value || '');
+
+  useEffect(() => {
+    setDraft(value || '');
+  }, [value]);
+
+  const commit = () => {
+    const trimmed = draft.trim();
+    if (trimmed !== (value || '')) {
+      onChange(trimmed);
+    }
+  };
+
+  return (
+    <View style={styles.optionRow}>
+      <Text style={styles.optionLabel}>{label}</Text>
+      <TextInput
+        style={styles.textSetting}
+        value={draft}
+        placeholder={placeholder}
+        placeholderTextColor="#aaaaaa"
+        secureTextEntry={secure}
+        autoCapitalize="none"
+        autoCorrect={false}
+        onChangeText={setDraft}
+        onEndEditing={commit}
+        onSubmitEditing={commit}
+      />
+    </View>
+  );
+};
+
+const LANGUAGE_OPTIONS = [
+  { label: 'Auto', value: AUTO_LANGUAGE },
+  ...LANGUAGES.map(l => ({ label: l.name, value: l.code })),
+];
+
+const SettingsPanel = ({ settings, onChange }) => {
+  // Only offer presets this platform can record; an unsupported saved choice
+  // shows as the preset it falls back to
+  const presetId = settings.recordingPreset in RECORDING_PRESETS ? settings.recordingPreset : 'voice';
+  const shownPresetId = isPresetSupported(presetId) ? presetId : 'music';
+  const preset = RECORDING_PRESETS[shownPresetId];
+  const provider = TRANSCRIPTION_PROVIDERS[settings.transcriptionProvider] || TRANSCRIPTION_PROVIDERS.groq;
+
+  return (
+    <View style={styles.settingsPanel}>
+      <Text style={styles.settingsHeading}>Recording</Text>
+      <OptionRow
+        label="Quality"
+        value={shownPresetId}
+        options={Object.entries(RECORDING_PRESETS)
+          .filter(([id]) => isPresetSupported(id))
+          .map(([id, p]) => ({ label: p.label, value: id }))}
+        onChange={(recordingPreset) => onChange({ recordingPreset })}
+      />
+      <OptionRow
+        label="Sample rate"
+        value={settings.recordingSampleRate}
+        options={[
+          { label: `Preset (${preset.sampleRate / 1000}k)`, value: null },
+          ...SAMPLE_RATE_OPTIONS.map(rate => ({ label: `${rate / 1000}k`, value: rate })),
+        ]}
+        onChange={(recordingSampleRate) => onChange({ recordingSampleRate })}
+      />
+      <OptionRow
+        label="Channels"
+        value={settings.recordingChannels}
+        options={[
+          { label: `Preset (${preset.channels === 1 ? 'mono' : 'stereo'})`, value: null },
+          { label: 'Mono', value: 1 },
+          { label: 'Stereo', value: 2 },
+        ]}
+        onChange={(recordingChannels) => onChange({ recordingChannels })}
+      />
+      <OptionRow
+        label="Counter tenths"
+        value={settings.displayTenths}
+        options={[
+          { label: 'Off', value: false },
+          { label: 'On', value: true },
+        ]}
+        onChange={(displayTenths) => onChange({ displayTenths })}
+      />
+      <OptionRow
+        label="Voice activation"
+        value={settings.voxEnabled}
+        options={[
+          { label: 'Off', value: false },
+          { label: 'On', value: true },
+        ]}
+        onChange={(voxEnabled) => onChange({ voxEnabled })}
+      />
+      {settings.voxEnabled && (
+        <>
+          <OptionRow
+            label="Threshold"
+            value={settings.voxThresholdDb}
+            options={VOX_THRESHOLD_OPTIONS.map(db => ({ label: `${db} dB`, value: db }))}
+            onChange={(voxThresholdDb) => onChange({ voxThresholdDb })}
+          />
+          <OptionRow
+            label="Pause after"
+            value={settings.voxSilenceMs}
+            options={VOX_SILENCE_OPTIONS.map(ms => ({ label: `${ms / 1000}s`, value: ms }))}
+            onChange={(voxSilenceMs) => onChange({ voxSilenceMs })}
+          />
+        </>
+      )}
+
+      <Text style={styles.settingsHeading}>Transcription</Text>
+      <OptionRow
+        label="Provider"
+        value={settings.transcriptionProvider}
+        options={Object.entries(TRANSCRIPTION_PROVIDERS).map(([id, p]) => ({ label: p.label, value: id }))}
+        onChange={(transcriptionProvider) => onChange({ transcriptionProvider })}
+      />
+      <OptionRow
+        label="Language"
+        value={settings.transcriptionLanguage}
+        options={LANGUAGE_OPTIONS}
+        onChange={(transcriptionLanguage) => onChange({ transcriptionLanguage })}
+      />
+      <OptionRow
+        label="Translate"
+        value={settings.translateToEnglish}
+        options={[
+          { label: 'Off', value: false },
+          { label: 'To English', value: true },
+        ]}
+        onChange={(translateToEnglish) => onChange({ translateToEnglish })}
+      />
+      {provider.transcribe && (
+        <>
+          <TextSetting
+            label="Server URL"
+            value={settings.transcriptionBaseUrl}
+            placeholder={provider.defaultBaseUrl || 'http://192.168.1.10:8000/v1'}
+            onChange={(transcriptionBaseUrl) => onChange({ transcriptionBaseUrl })}
+          />
+          <TextSetting
+            label="Model"
+            value={settings.transcriptionModel}
+            placeholder={provider.defaultModel}
+            onChange={(transcriptionModel) => onChange({ transcriptionModel })}
+          />
+          <TextSetting
+            label="API key"
+            value={settings.transcriptionApiKey}
+            placeholder={provider.defaultApiKey ? 'Using key from build config' : (provider.requiresKey ? 'Required' : 'Optional')}
+            secure
+            onChange={(transcriptionApiKey) => onChange({ transcriptionApiKey })}
+          />
+        </>
+      )}
+    </View>
+  );
+};
+
+// Export options for one or more recordings, shown over the app
+const ExportSheet = ({ count, visible, settings, onChange, isExporting, onExport, onClose }) => (
+  <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+    <View style={styles.sheetBackdrop}>
+      <View style={styles.sheet}>
+        <Text style={styles.settingsHeading}>
+          Export {count === 1 ? 'recording' : `${count} recordings`}
+        </Text>
+        <OptionRow
+          label="Transcript"
+          value={settings.exportFormat}
+          options={Object.entries(EXPORT_FORMATS).map(([id, f]) => ({ label: f.label, value: id }))}
+          onChange={(exportFormat) => onChange({ exportFormat })}
+        />
+        <OptionRow
+          label="Audio"
+          value={settings.exportIncludeAudio}
+          options={[
+            { label: 'Include', value: true },
+            { label: 'Skip', value: false },
+          ]}
+          onChange={(exportIncludeAudio) => onChange({ exportIncludeAudio })}
+        />
+        <View style={styles.sheetButtons}>
+          <TouchableOpacity onPress={onClose} disabled={isExporting}>
+            <Text style={styles.listAction}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={onExport} disabled={isExporting}>
+            <Text style={[styles.listAction, isExporting && styles.listActionDisabled]}>
+              {isExporting ? 'Exporting...' : 'Export'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  </Modal>
+);
+
+// Transcript split into its timed segments. The segment being played is
+// highlighted and tapping a word (or a segment without word timings) seeks
+// there. Words matching the search terms are marked.
+const TimedTranscript = ({ timings, positionMillis, onSeekToTime, searchTerms }) => {
+  const { segments, words } = timings;
+  const position = positionMillis !== null ? positionMillis / 1000 : null;
+
+  // Assign each word to the segment it starts in
+  let wordIndex = 0;
+  return segments.map((segment, i) => {
+    const segmentWords = [];
+    while (words && wordIndex < words.length && words[wordIndex].start < segment.end) {
+      if (words[wordIndex].start >= segment.start) {
+        segmentWords.push(words[wordIndex]);
+      }
+      wordIndex++;
+    }
+
+    const isCurrent = position !== null && position >= segment.start && position < segment.end;
+
+    return (
+      <Text key={i} style={isCurrent && styles.transcriptCurrentSegment}>
+        {segmentWords.length > 0 ? (
+          segmentWords.map((word, j) => (
+            <Text
+              key={j}
+              style={matchesTerms(word.word, searchTerms) && styles.searchMatch}
+              onPress={() => onSeekToTime(word.start * 1000)}
+            >
+              {word.word}{' '}
+            </Text>
+          ))
+        ) : (
+          <Text onPress={() => onSeekToTime(segment.start * 1000)}>
+            <HighlightedText text={segment.text.trim()} searchTerms={searchTerms} />{' '}
+          </Text>
+        )}
+      </Text>
+    );
+  });
+};
+
+// Plain text with the words matching the search terms marked
+const HighlightedText = ({ text, searchTerms }) => {
+  if (searchTerms.length === 0) {
+    return text;
+  }
+  return highlightText(text, searchTerms).map((part, i) => (
+    part.isMatch ? <Text key={i} style={styles.searchMatch}>{part.text}</Text> : part.text
+  ));
+};
+
+const REVISION_LABELS = {
+  machine: 'Transcribed',
+  edit: 'Edited',
+};
+
+// Earlier versions of a transcript, newest first, each of which can be restored
+const TranscriptHistory = ({ recording, onRevert }) => {
+  const [history, setHistory] = useState(null);
+
+  // Reload whenever the transcript changes, since that adds or switches a revision
+  useEffect(() => {
+    let cancelled = false;
+    loadTranscriptHistory(recording)
+      .then(loaded => { if (!cancelled) setHistory(loaded); })
+      .catch(error => console.error('Failed to load transcript history:', error));
+    return () => { cancelled = true; };
+  }, [recording.id, recording.transcription, recording.transcriptEdited]);
+
+  if (!history) {
+    return null;
+  }
+  if (history.revisions.length === 0) {
+    return <Text style={styles.historyEmpty}>No earlier versions</Text>;
+  }
+
+  return (
+    <View style={styles.historyList}>
+      {history.revisions.map((revision, index) => ({ revision, index })).reverse().map(({ revision, index }) => (
+        <View key={index} style={styles.historyRow}>
+          <View style={styles.historyInfo}>
+            <Text style={styles.historyLabel}>
+              {index === 0 ? 'Original' : REVISION_LABELS[revision.source]}
+              {' · '}
+              {new Date(revision.createdAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+              })}
+            </Text>
+            <Text style={styles.historyPreview} numberOfLines={2}>{revision.text}</Text>
+          </View>
+          {index === history.current ? (
+            <Text style={styles.historyCurrent}>Current</Text>
+          ) : (
+            <TouchableOpacity onPress={() => onRevert(index)}>
+              <Text style={styles.transcriptAction}>Restore</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// Title, tags and star of one recording, opened by long-pressing it
+const RecordingDetailsSheet = ({ recording, punchInMs, onSave, onDelete, onTrim, onContinue, onPunchIn, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [tags, setTags] = useState('');
+  const [starred, setStarred] = useState(false);
+  const [markers, setMarkers] = useState([]);
+
+  // Start from the recording's current details each time the sheet opens
+  useEffect(() => {
+    if (recording) {
+      setTitle(recording.title || '');
+      setTags((recording.tags || []).join(', '));
+      setStarred(!!recording.starred);
+      // Named in playback time, like they're shown on the item
+      setMarkers(getPlayableMarkers(recording));
+    }
+  }, [recording?.id]);
+
+  const renameMarker = (id, name) => {
+    setMarkers(prev => prev.map(marker => (marker.id === id ? { ...marker, name } : marker)));
+  };
+
+  const save = () => {
+    onSave({
+      title: title.trim() || null,
+      tags: normalizeTags(tags.split(',')),
+      starred,
+      markers: (recording.markers || []).map(marker => {
+        const renamed = markers.find(m => m.id === marker.id);
+        return renamed ? { ...marker, name: renamed.name.trim() } : marker;
+      }),
+    });
+  };
+
+  return (
+    <Modal visible={!!recording} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.sheetBackdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.settingsHeading}>Recording</Text>
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>Title</Text>
+            <TextInput
+              style={styles.textSetting}
+              value={title}
+              placeholder={recording ? `Recorded ${recording.time}` : ''}
+              placeholderTextColor="#aaaaaa"
+              onChangeText={setTitle}
+            />
+          </View>
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>Tags</Text>
+            <TextInput
+              style={styles.textSetting}
+              value={tags}
+              placeholder="work, ideas"
+              placeholderTextColor="#aaaaaa"
+              autoCapitalize="none"
+              onChangeText={setTags}
+            />
+          </View>
+          <OptionRow
+            label="Starred"
+            value={starred}
+            options={[
+              { label: 'Yes', value: true },
+              { label: 'No', value: false },
+            ]}
+            onChange={setStarred}
+          />
+          {markers.length > 0 && (
+            <ScrollView style={styles.markerNames}>
+              {markers.map((marker, i) => (
+                <View key={marker.id} style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>◆ {formatDuration(marker.millis)}</Text>
+                  <TextInput
+                    style={styles.textSetting}
+                    value={marker.name}
+                    placeholder={getMarkerLabel(marker, i)}
+                    placeholderTextColor="#aaaaaa"
+                    onChangeText={(name) => renameMarker(marker.id, name)}
+                  />
+                </View>
+              ))}
+            </ScrollView>
+          )}
+          {recording?.uri && !recording.isTranscribing && (
+            <TouchableOpacity onPress={onTrim}>
+              <Text style={styles.listAction}>Trim / Split...</Text>
+            </TouchableOpacity>
+          )}
+          {recording?.uri && (
+            <View style={styles.sheetButtons}>
+              <TouchableOpacity onPress={onContinue}>
+                <Text style={styles.listAction}>Continue Recording</Text>
+              </TouchableOpacity>
+              {punchInMs !== null && (
+                <TouchableOpacity onPress={onPunchIn}>
+                  <Text style={styles.listAction}>Punch In at {formatDuration(punchInMs)}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          <View style={styles.sheetButtons}>
+            <TouchableOpacity onPress={onDelete}>
+              <Text style={[styles.listAction, styles.deleteAction]}>Delete</Text>
+            </TouchableOpacity>
+            <View style={styles.sheetSpacer} />
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.listAction}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={save}>
+              <Text style={styles.listAction}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+// Trim and split editor. The whole file's waveform is shown with in and out
+// handles and a split marker; dragging near one moves it.
+const TrimEditor = ({ recording, onSave, onSplit, onRender, onClose }) => {
+  const [peaks, setPeaks] = useState([]);
+  const [marks, setMarks] = useState({ in: 0, out: 0, split: 0 });
+  const marksRef = useRef(marks);
+  marksRef.current = marks;
+  const areaWidth = useRef(0);
+  const dragRef = useRef(null);
+  const fileMillis = recording ? getDurationMillis(recording) : 0;
+  const fileMillisRef = useRef(fileMillis);
+  fileMillisRef.current = fileMillis;
+
+  // Start from the current trim each time the editor opens
+  useEffect(() => {
+    if (!recording) {
+      return;
+    }
+    const range = getPlayableRange(recording);
+    setMarks({ in: range.startMs, out: range.endMs, split: (range.startMs + range.endMs) / 2 });
+    computePeaks(recording)
+      .then(setPeaks)
+      .catch(error => console.error('Failed to load waveform for trimming:', error));
+  }, [recording?.id]);
+
+  const millisAt = (x) => {
+    if (!areaWidth.current) {
+      return 0;
+    }
+    return Math.min(1, Math.max(0, x / areaWidth.current)) * fileMillisRef.current;
+  };
+
+  // Keep in < split < out with at least MIN_EDIT_MS between them
+  const moveMark = (name, millis) => {
+    setMarks(prev => {
+      const limits = {
+        in: [0, prev.out - MIN_EDIT_MS],
+        out: [prev.in + MIN_EDIT_MS, fileMillisRef.current],
+        split: [prev.in + MIN_EDIT_MS, prev.out - MIN_EDIT_MS],
+      }[name];
+      const clamped = Math.min(limits[1], Math.max(limits[0], millis));
+      const next = { ...prev, [name]: clamped };
+      // The split marker stays inside the trimmed range
+      next.split = Math.min(next.out - MIN_EDIT_MS, Math.max(next.in + MIN_EDIT_MS, next.split));
+      return next;
+    });
+  };
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (evt) => {
+      const x = evt.nativeEvent.locationX;
+      const millis = millisAt(x);
+      // Grab whichever mark is nearest the touch
+      const nearest = Object.entries(marksRef.current)
+        .sort((a, b) => Math.abs(a[1] - millis) - Math.abs(b[1] - millis))[0][0];
+      dragRef.current = { name: nearest, startX: x };
+      moveMark(nearest, millis);
+    },
+    onPanResponderMove: (evt, gestureState) => {
+      const drag = dragRef.current;
+      if (drag) {
+        moveMark(drag.name, millisAt(drag.startX + gestureState.dx));
+      }
+    },
+    onPanResponderRelease: () => { dragRef.current = null; },
+    onPanResponderTerminate: () => { dragRef.current = null; },
+  })).current;
+
+  const fractionOf = (millis) => `${fileMillis ? (millis / fileMillis) * 100 : 0}%`;
+  const range = { startMs: marks.in, endMs: marks.out };
+
+  return (
+    <Modal visible={!!recording} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.sheetBackdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.settingsHeading}>Trim / Split</Text>
+          <View
+            style={styles.trimArea}
+            onLayout={(event) => { areaWidth.current = event.nativeEvent.layout.width; }}
+            {...responder.panHandlers}
+          >
+            <View pointerEvents="none" style={styles.seekAreaContent}>
+              <Waveform peaks={peaks.length > 0 ? peaks : [0]} progress={0} />
+              <View style={[styles.trimShade, { left: 0, width: fractionOf(marks.in) }]} />
+              <View style={[styles.trimShade, { left: fractionOf(marks.out), right: 0 }]} />
+              <View style={[styles.trimHandle, { left: fractionOf(marks.in) }]} />
+              <View style={[styles.trimHandle, { left: fractionOf(marks.out) }]} />
+              <View style={[styles.trimHandle, styles.splitHandle, { left: fractionOf(marks.split) }]} />
+            </View>
+          </View>
+          <Text style={styles.trimTimes}>
+            In {formatDuration(marks.in)}
+            {'  '}Out {formatDuration(marks.out)}
+            {'  '}Length {formatDuration(marks.out - marks.in)}
+          </Text>
+          <View style={styles.sheetButtons}>
+            <TouchableOpacity onPress={() => onSave(null)}>
+              <Text style={styles.listAction}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onSplit(marks.split)}>
+              <Text style={styles.listAction}>Split</Text>
+            </TouchableOpacity>
+            {recording && canRenderEdit(recording) && (
+              <TouchableOpacity onPress={() => onRender(range)}>
+                <Text style={styles.listAction}>Render WAV</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <View style={styles.sheetButtons}>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.listAction}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onSave(range)}>
+              <Text style={styles.listAction}>Save Trim</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+// Indicator text for each transcription queue state
+const TRANSCRIPTION_STATUS_LABELS = {
+  running: 'Processing...',
+  queued: 'Queued',
+  retrying: 'Retrying soon...',
+  offline: 'Waiting for network...',
+};
+
+const RecordingItem = ({
+  recording,
+  isCursor,
+  isPlaying,
+  isPaused,
+  progress,
+  onPlay,
+  onPause,
+  onSeek,
+  onChangeRate,
+  transcriptionStatus,
+  onRetryTranscription,
+  onSeekToTime,
+  positionMillis,
+  searchTerms,
+  onSaveTranscript,
+  onRevertTranscript,
+  onExport,
+  isSelected,
+  onToggleSelected,
+  defaultLanguage,
+  defaultTranslate,
+  onChangeTranscriptionOptions,
+  onOpenDetails,
+  onToggleStarred,
+  onDelete,
+}) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
+  // Horizontal swipe reveals the star and delete actions
+  const swipeX = useRef(new Animated.Value(0)).current;
+  const isSwipeOpen = useRef(false);
+
+  const settleSwipe = (open) => {
+    isSwipeOpen.current = open;
+    Animated.spring(swipeX, {
+      toValue: open ? -SWIPE_ACTIONS_WIDTH : 0,
+      useNativeDriver: true,
+    }).start();
+  };
+
+  const swipeResponder = useRef(PanResponder.create({
+    // Only clearly horizontal drags, so the list still scrolls
+    onMoveShouldSetPanResponder: (evt, gestureState) =>
+      Math.abs(gestureState.dx) > 12 && Math.abs(gestureState.dx) > Math.abs(gestureState.dy) * 2,
+    onPanResponderMove: (evt, gestureState) => {
+      const base = isSwipeOpen.current ? -SWIPE_ACTIONS_WIDTH : 0;
+      swipeX.setValue(Math.min(0, Math.max(-SWIPE_ACTIONS_WIDTH * 1.5, base + gestureState.dx)));
+    },
+    onPanResponderRelease: (evt, gestureState) => {
+      const base = isSwipeOpen.current ? -SWIPE_ACTIONS_WIDTH : 0;
+      settleSwipe(base + gestureState.dx < -SWIPE_ACTIONS_WIDTH / 2);
+    },
+    onPanResponderTerminate: () => settleSwipe(isSwipeOpen.current),
+  })).current;
+
+  // Transcript editing. draftText is non-null while the editor is open.
+  const [draftText, setDraftText] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const canEditTranscript = !!recording.transcription && !recording.transcriptionFailed &&
+    (!recording.isTranscribing || recording.transcriptEdited);
+  // An edited transcript stays readable while a new transcription runs
+  const isTranscriptPending = recording.isTranscribing && !recording.transcriptEdited;
+
+  // Per-recording language and translation overrides
+  const [showLanguageOptions, setShowLanguageOptions] = useState(false);
+  const languageCode = recording.detectedLanguage ||
+    (recording.language && recording.language !== AUTO_LANGUAGE ? recording.language : null);
+
+  const saveDraft = () => {
+    onSaveTranscript(draftText);
+    setDraftText(null);
+  };
+
+  // Tap or drag on the bar to seek. seekFraction is non-null while dragging.
+  const [seekFraction, setSeekFraction] = useState(null);
+  const seekAreaWidth = useRef(0);
+  const seekStartX = useRef(0);
+  const onSeekRef = useRef(onSeek);
+  onSeekRef.current = onSeek;
+
+  const fractionAt = (x) => {
+    if (!seekAreaWidth.current) {
+      return 0;
+    }
+    return Math.min(1, Math.max(0, x / seekAreaWidth.current));
+  };
+
+  const seekResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    // Don't let the list steal the gesture mid-drag
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (evt) => {
+      seekStartX.current = evt.nativeEvent.locationX;
+      setSeekFraction(fractionAt(seekStartX.current));
+    },
+    onPanResponderMove: (evt, gestureState) => {
+      setSeekFraction(fractionAt(seekStartX.current + gestureState.dx));
+    },
+    onPanResponderRelease: (evt, gestureState) => {
+      const fraction = fractionAt(seekStartX.current + gestureState.dx);
+      setSeekFraction(null);
+      onSeekRef.current?.(fraction);
+    },
+    onPanResponderTerminate: () => {
+      setSeekFraction(null);
+    },
+  })).current;
+
+  const playbackRate = recording.playbackRate || 1;
+  const cyclePlaybackRate = () => {
+    const index = PLAYBACK_RATES.indexOf(playbackRate);
+    onChangeRate(PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length]);
+  };
+
+  const displayProgress = seekFraction !== null ? seekFraction * 100 : progress;
+  const totalMillis = getPlayableRange(recording).durationMillis;
+  const seekMillis = (seekFraction || 0) * totalMillis;
+  const markers = getPlayableMarkers(recording);
+
   const toggleExpanded = () => {
     setIsExpanded(!isExpanded);
   };
 
+  // While searching the whole transcript is shown, so every match is visible
+  const isSearching = searchTerms.length > 0;
+  const isShowingAll = isExpanded || isSearching;
+
+  // Word and segment timings are loaded only when they can be seen or followed
+  const [timings, setTimings] = useState(null);
+  const needsTimings = recording.hasTranscriptTimings && (isShowingAll || positionMillis !== null);
+
+  useEffect(() => {
+    if (!needsTimings) {
+      return;
+    }
+    let cancelled = false;
+    loadSidecar(recording.id, 'transcript')
+      .then(loaded => {
+        if (!cancelled) {
+          // Timings are stored in file time; show them relative to the trim
+          setTimings(loaded && recording.edit ? clipTimings(loaded, getPlayableRange(recording)) : loaded);
+        }
+      })
+      .catch(error => console.error('Failed to load transcript timings:', error));
+    return () => { cancelled = true; };
+  }, [needsTimings, recording.id, recording.transcription, recording.edit?.startMs, recording.edit?.endMs]);
+
   // Simple heuristic: if transcription is longer than ~200 characters, show read more
   const isLongTranscription = recording.transcription && recording.transcription.length > 200;
 
@@ -928,63 +3090,274 @@ const RecordingItem = ({ recording, isPlaying, isPaused, progress, onPlay, onPau
   };
 
   return (
-    <View style={styles.recordingItem}>
-      {/* Top Row: Play button + Progress bar + Duration */}
-      <View style={styles.recordingTopRow}>
-        <TouchableOpacity 
-          style={styles.playIconContainer}
-          onPress={recording.uri ? handlePlayPause : null}
-          disabled={!recording.uri}
+    <View style={styles.recordingSwipeContainer}>
+      {/* Revealed by swiping the item left */}
+      <View style={styles.swipeActions}>
+        <TouchableOpacity
+          style={[styles.swipeAction, styles.swipeActionStar]}
+          onPress={() => { settleSwipe(false); onToggleStarred(); }}
         >
-          <Text style={[
-            styles.playIconText,
-            !recording.uri && styles.playIconDisabled
-          ]}>
-            {isPlaying ? "⏸" : "▶"}
-          </Text>
+          <Text style={styles.swipeActionText}>{recording.starred ? 'Unstar' : 'Star'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.swipeAction, styles.swipeActionDelete]}
+          onPress={() => { settleSwipe(false); onDelete(); }}
+        >
+          <Text style={styles.swipeActionText}>Delete</Text>
         </TouchableOpacity>
-        <View style={styles.progressBarContainer}>
-          <View 
-            style={[
-              styles.progressBar, 
-              { width: `${progress}%` }
-            ]} 
-          />
-        </View>
-        <View style={styles.durationContainer}>
-          <Text style={styles.duration}>{recording.duration}</Text>
-        </View>
       </View>
-      
-      {/* Content Row: Transcription + Timestamp */}
-      <View style={styles.recordingContentRow}>
-        <View style={styles.transcriptionSection}>
-          <View style={styles.transcriptionHeader}>
-            <Text style={styles.transcriptionLabel}>Transcription</Text>
-            {recording.isTranscribing && (
-              <Text style={styles.transcribingIndicator}>Processing...</Text>
+      <Animated.View style={{ transform: [{ translateX: swipeX }] }} {...swipeResponder.panHandlers}>
+        <Pressable style={[styles.recordingItem, isCursor && styles.recordingItemCursor]} onLongPress={onOpenDetails} delayLongPress={400}>
+          {/* Title, star and tags */}
+          {(recording.title || recording.starred || recording.tags?.length > 0) && (
+            <View style={styles.recordingTitleRow}>
+              {recording.starred && <Text style={styles.starMark}>★</Text>}
+              {recording.title ? (
+                <Text style={styles.recordingTitle} numberOfLines={1}>{recording.title}</Text>
+              ) : null}
+              {(recording.tags || []).map(tag => (
+                <Text key={tag} style={styles.tagChip}>#{tag}</Text>
+              ))}
+            </View>
+          )}
+          {/* Top Row: Play button + Progress bar + Duration */}
+          <View style={styles.recordingTopRow}>
+            {isSelected !== null && (
+              <TouchableOpacity style={styles.selectBox} onPress={onToggleSelected}>
+                <Text style={styles.selectBoxText}>{isSelected ? '☑' : '☐'}</Text>
+              </TouchableOpacity>
             )}
+            <TouchableOpacity 
+              style={styles.playIconContainer}
+              onPress={recording.uri ? handlePlayPause : null}
+              disabled={!recording.uri}
+            >
+              <Text style={[
+                styles.playIconText,
+                !recording.uri && styles.playIconDisabled
+              ]}>
+                {isPlaying ? "⏸" : "▶"}
+              </Text>
+            </TouchableOpacity>
+            <View
+              style={styles.seekArea}
+              onLayout={(event) => { seekAreaWidth.current = event.nativeEvent.layout.width; }}
+              {...(recording.uri ? seekResponder.panHandlers : {})}
+            >
+              {/* Children ignore touches so locationX is always relative to the seek area */}
+              <View pointerEvents="none" style={styles.seekAreaContent}>
+                {recording.peaks?.length > 0 ? (
+                  <View style={styles.waveformContainer}>
+                    <Waveform peaks={recording.peaks} progress={displayProgress} />
+                  </View>
+                ) : (
+                  <View style={styles.progressBarContainer}>
+                    <View 
+                      style={[
+                        styles.progressBar, 
+                        { width: `${displayProgress}%` }
+                      ]} 
+                    />
+                  </View>
+                )}
+                {totalMillis > 0 && markers.map(marker => (
+                  <View
+                    key={marker.id}
+                    style={[styles.markerTick, { left: `${(marker.millis / totalMillis) * 100}%` }]}
+                  />
+                ))}
+              </View>
+            </View>
+            <TouchableOpacity style={styles.rateButton} onPress={cyclePlaybackRate}>
+              <Text style={[styles.rateText, playbackRate !== 1 && styles.rateTextActive]}>
+                {playbackRate}x
+              </Text>
+            </TouchableOpacity>
+            <View style={styles.durationContainer}>
+              <Text style={styles.duration}>{formatDuration(totalMillis)}</Text>
+            </View>
+          </View>
+
+          {/* Elapsed / remaining time while dragging on the bar */}
+          {seekFraction !== null && (
+            <View style={styles.seekTimeRow}>
+              <Text style={styles.seekTimeText}>
+                {formatDuration(seekMillis)}
+              </Text>
+              <Text style={styles.seekTimeText}>
+                -{formatDuration(Math.ceil((totalMillis - seekMillis) / 1000) * 1000)}
+              </Text>
+            </View>
+          )}
+          
+          {/* Markers, tap to jump */}
+          {markers.length > 0 && (
+            <View style={styles.markerList}>
+              {markers.map((marker, i) => (
+                <TouchableOpacity key={marker.id} onPress={() => onSeekToTime(marker.millis)}>
+                  <Text style={styles.markerChip}>
+                    ◆ {getMarkerLabel(marker, i)} {formatDuration(marker.millis)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          
+          {/* Content Row: Transcription + Timestamp */}
+          <View style={styles.recordingContentRow}>
+            <View style={styles.transcriptionSection}>
+              <View style={styles.transcriptionHeader}>
+                <TouchableOpacity onPress={() => setShowLanguageOptions(!showLanguageOptions)}>
+                  <Text style={styles.transcriptionLabel}>
+                    Transcription
+                    <Text style={styles.languageTag}>
+                      {' '}{languageCode ? languageCode.toUpperCase() : 'LANG'}{recording.language ? '*' : ''}
+                    </Text>
+                  </Text>
+                </TouchableOpacity>
+                {recording.isTranscribing ? (
+                  <Text style={styles.transcribingIndicator}>
+                    {transcriptionStatus === 'running' && recording.transcriptionProgress
+                      ? `${recording.transcriptionProgress.done}/${recording.transcriptionProgress.total} segments`
+                      : TRANSCRIPTION_STATUS_LABELS[transcriptionStatus] || 'Processing...'}
+                  </Text>
+                ) : (
+                  recording.uri && (
+                    <TouchableOpacity onPress={onRetryTranscription}>
+                      <Text style={styles.retryTranscription}>
+                        {recording.transcriptionFailed ? 'Retry transcription' : 'Re-transcribe'}
+                      </Text>
+                    </TouchableOpacity>
+                  )
+                )}
+              </View>
+              {showLanguageOptions && (
+                <View style={styles.languageOptions}>
+                  <OptionRow
+                    label="Language"
+                    value={recording.language || null}
+                    options={[
+                      { label: `Default (${getLanguageName(defaultLanguage)})`, value: null },
+                      ...LANGUAGE_OPTIONS,
+                    ]}
+                    onChange={(language) => onChangeTranscriptionOptions({ language })}
+                  />
+                  <OptionRow
+                    label="Translate"
+                    value={recording.translate ?? null}
+                    options={[
+                      { label: `Default (${defaultTranslate ? 'on' : 'off'})`, value: null },
+                      { label: 'On', value: true },
+                      { label: 'Off', value: false },
+                    ]}
+                    onChange={(translate) => onChangeTranscriptionOptions({ translate })}
+                  />
+                </View>
+              )}
+              <View style={recording.translation ? styles.transcriptColumns : null}>
+                <View style={recording.translation ? styles.transcriptColumn : null}>
+                  {recording.translation && (
+                    <Text style={styles.translationLabel}>
+                      {languageCode ? getLanguageName(languageCode) : 'Original'}
+                    </Text>
+                  )}
+                  {draftText !== null ? (
+                    <TextInput
+                      style={[styles.transcriptionText, styles.transcriptEditor]}
+                      value={draftText}
+                      onChangeText={setDraftText}
+                      multiline
+                      autoFocus
+                    />
+                  ) : (
+                    <Text 
+                      style={[
+                        styles.transcriptionText,
+                        isTranscriptPending && styles.transcriptionTextLoading
+                      ]} 
+                      numberOfLines={isShowingAll ? undefined : 4} 
+                      ellipsizeMode="tail"
+                    >
+                      {needsTimings && timings && !recording.isTranscribing ? (
+                        <TimedTranscript
+                          timings={timings}
+                          positionMillis={positionMillis}
+                          onSeekToTime={onSeekToTime}
+                          searchTerms={searchTerms}
+                        />
+                      ) : (
+                        <HighlightedText text={recording.transcription} searchTerms={searchTerms} />
+                      )}
+                    </Text>
+                  )}
+                </View>
+                {/* English translation next to the original */}
+                {recording.translation && (
+                  <View style={styles.transcriptColumn}>
+                    <Text style={styles.translationLabel}>English</Text>
+                    <Text
+                      style={[styles.transcriptionText, isTranscriptPending && styles.transcriptionTextLoading]}
+                      numberOfLines={isShowingAll ? undefined : 4}
+                      ellipsizeMode="tail"
+                    >
+                      <HighlightedText text={recording.translation} searchTerms={searchTerms} />
+                    </Text>
+                  </View>
+                )}
+              </View>
+              {isLongTranscription && !isTranscriptPending && !isSearching && draftText === null && (
+                <TouchableOpacity onPress={toggleExpanded} style={styles.readMoreButton}>
+                  <Text style={styles.showMore}>
+                    {isExpanded ? 'Read Less' : 'Read More'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
+              {/* Edit / history / export actions */}
+              {draftText === null && !canEditTranscript && recording.uri && (
+                <View style={styles.transcriptActions}>
+                  <TouchableOpacity onPress={onExport}>
+                    <Text style={styles.transcriptAction}>Export</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+              {canEditTranscript && (
+                <View style={styles.transcriptActions}>
+                  {draftText !== null ? (
+                    <>
+                      <TouchableOpacity onPress={saveDraft}>
+                        <Text style={styles.transcriptAction}>Save</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => setDraftText(null)}>
+                        <Text style={styles.transcriptAction}>Cancel</Text>
+                      </TouchableOpacity>
+                    </>
+                  ) : (
+                    <>
+                      <TouchableOpacity onPress={() => setDraftText(recording.transcription)}>
+                        <Text style={styles.transcriptAction}>Edit</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => setShowHistory(!showHistory)}>
+                        <Text style={styles.transcriptAction}>
+                          {showHistory ? 'Hide History' : 'History'}
+                        </Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={onExport}>
+                        <Text style={styles.transcriptAction}>Export</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                  {recording.transcriptEdited && <Text style={styles.transcriptEditedLabel}>edited</Text>}
+                </View>
+              )}
+              {showHistory && draftText === null && (
+                <TranscriptHistory recording={recording} onRevert={onRevertTranscript} />
+              )}
+            </View>
+            <Text style={styles.timestamp}>{recording.time}</Text>
           </View>
-          <Text 
-            style={[
-              styles.transcriptionText,
-              recording.isTranscribing && styles.transcriptionTextLoading
-            ]} 
-            numberOfLines={isExpanded ? undefined : 4} 
-            ellipsizeMode="tail"
-          >
-            {recording.transcription}
-          </Text>
-          {isLongTranscription && !recording.isTranscribing && (
-            <TouchableOpacity onPress={toggleExpanded} style={styles.readMoreButton}>
-              <Text style={styles.showMore}>
-                {isExpanded ? 'Read Less' : 'Read More'}
-              </Text>
-            </TouchableOpacity>
-          )}
-        </View>
-        <Text style={styles.timestamp}>{recording.time}</Text>
-      </View>
+        </Pressable>
+      </Animated.View>
     </View>
   );
 };
@@ -1047,6 +3420,22 @@ const styles = StyleSheet.create({
     color: '#000000',
     lineHeight: 22,
   },
+  timeTenths: {
+    fontSize: 12,
+  },
+  displayTitle: {
+    fontSize: 9,
+    fontFamily: 'JetBrainsMono_400Regular',
+    textAlign: 'center',
+    color: '#000000',
+    maxWidth: 110,
+  },
+  displayListening: {
+    borderStyle: 'dashed',
+  },
+  displayVoxText: {
+    color: '#f0630d',
+  },
   displayRecording: {
     borderColor: '#f0630d',
   },
@@ -1059,6 +3448,12 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     marginTop: 2,
   },
+  markerCountText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: '#f0630d',
+  },
   dateText: {
     fontSize: 12,
     fontWeight: 'bold',
@@ -1198,6 +3593,11 @@ const styles = StyleSheet.create({
     borderRadius: 7.5,
     backgroundColor: '#f0630d',
   },
+  orangeCircleVox: {
+    backgroundColor: 'transparent',
+    borderWidth: 3,
+    borderColor: '#f0630d',
+  },
   playButton: {
     fontSize: 25,
     color: '#000000',
@@ -1239,6 +3639,67 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontFamily: 'JetBrainsMono_700Bold',
   },
+  settingsToggle: {
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+  },
+  settingsToggleText: {
+    fontSize: 14,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  settingsPanel: {
+    borderWidth: 0.5,
+    borderColor: '#000000',
+    padding: 8,
+    gap: 10,
+  },
+  settingsHeading: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#aaaaaa',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  optionRow: {
+    gap: 4,
+  },
+  optionLabel: {
+    fontSize: 12,
+    color: '#000000',
+    fontFamily: 'JetBrainsMono_500Medium',
+  },
+  textSetting: {
+    borderWidth: 0.5,
+    borderColor: '#000000',
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    fontSize: 12,
+    color: '#000000',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  optionChoices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  optionChip: {
+    borderWidth: 0.5,
+    borderColor: '#000000',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  optionChipSelected: {
+    backgroundColor: '#f0630d',
+    borderColor: '#f0630d',
+  },
+  optionChipText: {
+    fontSize: 12,
+    color: '#000000',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  optionChipTextSelected: {
+    color: '#ffffff',
+  },
   recordingsSection: {
     marginVertical: 20,
   },
@@ -1249,6 +3710,96 @@ const styles = StyleSheet.create({
     color: '#333',
     fontFamily: 'JetBrainsMono_700Bold',
   },
+  searchInput: {
+    borderWidth: 0.5,
+    borderColor: '#000000',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 10,
+    fontSize: 14,
+    color: '#000000',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  searchMatch: {
+    backgroundColor: '#ffe066',
+  },
+  listActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 16,
+    marginTop: 8,
+  },
+  listAction: {
+    fontSize: 12,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  listActionDisabled: {
+    color: '#aaaaaa',
+  },
+  selectBox: {
+    marginRight: 6,
+  },
+  selectBoxText: {
+    fontSize: 18,
+    color: '#000000',
+  },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    backgroundColor: '#ffffff',
+    borderTopWidth: 1,
+    borderColor: '#000000',
+    padding: 20,
+    paddingBottom: 36,
+    gap: 12,
+  },
+  trimArea: {
+    height: 60,
+  },
+  trimShade: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(255, 255, 255, 0.7)',
+  },
+  trimHandle: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    marginLeft: -1,
+    backgroundColor: '#000000',
+  },
+  splitHandle: {
+    backgroundColor: '#f0630d',
+  },
+  trimTimes: {
+    fontSize: 11,
+    color: '#333333',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  sheetSpacer: {
+    flex: 1,
+  },
+  deleteAction: {
+    color: '#cc0000',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  sheetButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 24,
+    marginTop: 8,
+  },
   noRecordingsText: {
     fontSize: 16,
     color: '#888',
@@ -1257,14 +3808,65 @@ const styles = StyleSheet.create({
     fontFamily: 'JetBrainsMono_400Regular',
     fontStyle: 'italic',
   },
+  recordingSwipeContainer: {
+    marginBottom: 10,
+  },
+  swipeActions: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    right: 0,
+    width: SWIPE_ACTIONS_WIDTH,
+    flexDirection: 'row',
+  },
+  swipeAction: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swipeActionStar: {
+    backgroundColor: '#000000',
+  },
+  swipeActionDelete: {
+    backgroundColor: '#f0630d',
+  },
+  swipeActionText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  recordingTitleRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+  },
+  starMark: {
+    fontSize: 14,
+    color: '#f0630d',
+  },
+  recordingTitle: {
+    flexShrink: 1,
+    fontSize: 14,
+    color: '#000000',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  tagChip: {
+    fontSize: 10,
+    color: '#666666',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
   recordingItem: {
     backgroundColor: 'white',
     padding: 8,
-    marginBottom: 10,
     borderWidth: 0.5,
     borderColor: '#000000',
     gap: 12,
   },
+  recordingItemCursor: {
+    borderColor: '#f0630d',
+    borderWidth: 1.5,
+  },
   recordingTopRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1285,16 +3887,73 @@ const styles = StyleSheet.create({
   playIconDisabled: {
     color: '#cccccc',
   },
-  progressBarContainer: {
+  seekArea: {
+    flex: 1,
+    height: 24,
+    marginRight: 8,
+  },
+  seekAreaContent: {
     flex: 1,
+    justifyContent: 'center',
+  },
+  markerTick: {
+    position: 'absolute',
+    top: 2,
+    bottom: 2,
+    width: 2,
+    marginLeft: -1,
+    backgroundColor: '#000000',
+  },
+  markerNames: {
+    maxHeight: 160,
+  },
+  markerList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingLeft: 32,
+    marginTop: 4,
+  },
+  markerChip: {
+    fontSize: 10,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  seekTimeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingLeft: 32,
+  },
+  seekTimeText: {
+    fontSize: 12,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_500Medium',
+  },
+  progressBarContainer: {
     height: 2,
     backgroundColor: '#eeeeee',
-    marginRight: 8,
   },
   progressBar: {
     height: '100%',
     backgroundColor: '#f0630d',
   },
+  waveformContainer: {
+    flex: 1,
+  },
+  waveform: {
+    flex: 1,
+  },
+  rateButton: {
+    paddingHorizontal: 4,
+  },
+  rateText: {
+    fontSize: 12,
+    color: '#aaaaaa',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  rateTextActive: {
+    color: '#f0630d',
+  },
   durationContainer: {
     paddingHorizontal: 6,
   },
@@ -1332,6 +3991,93 @@ const styles = StyleSheet.create({
     fontFamily: 'JetBrainsMono_500Medium',
     fontStyle: 'italic',
   },
+  retryTranscription: {
+    fontSize: 10,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  transcriptEditor: {
+    borderWidth: 0.5,
+    borderColor: '#000000',
+    padding: 6,
+    textAlignVertical: 'top',
+  },
+  transcriptActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 6,
+  },
+  transcriptAction: {
+    fontSize: 10,
+    color: '#f0630d',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  transcriptEditedLabel: {
+    fontSize: 10,
+    color: '#aaaaaa',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  historyList: {
+    marginTop: 6,
+    borderTopWidth: 0.5,
+    borderTopColor: '#dddddd',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 6,
+    borderBottomWidth: 0.5,
+    borderBottomColor: '#dddddd',
+  },
+  historyInfo: {
+    flex: 1,
+  },
+  historyLabel: {
+    fontSize: 10,
+    color: '#888888',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  historyPreview: {
+    fontSize: 12,
+    color: '#333333',
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  historyCurrent: {
+    fontSize: 10,
+    color: '#aaaaaa',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  historyEmpty: {
+    fontSize: 10,
+    color: '#aaaaaa',
+    marginTop: 6,
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  languageTag: {
+    fontSize: 10,
+    color: '#f0630d',
+  },
+  languageOptions: {
+    gap: 6,
+    marginVertical: 6,
+  },
+  transcriptColumns: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  transcriptColumn: {
+    flex: 1,
+  },
+  translationLabel: {
+    fontSize: 10,
+    color: '#aaaaaa',
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  transcriptCurrentSegment: {
+    backgroundColor: '#fde3d3',
+  },
   transcriptionTextLoading: {
     fontStyle: 'italic',
     color: '#666666',
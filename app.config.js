@@ -9,13 +9,34 @@ export default {
     userInterfaceStyle: 'light',
     assetBundlePatterns: ['**/*'],
     ios: {
-      supportsTablet: true
+      supportsTablet: true,
+      infoPlist: {
+        // Keep recording with the screen locked or in another app
+        UIBackgroundModes: ['audio'],
+        // Allow plain HTTP to self-hosted transcription servers on the LAN
+        NSAppTransportSecurity: {
+          NSAllowsLocalNetworking: true,
+        },
+      },
     },
     android: {
       adaptiveIcon: {
         backgroundColor: '#ffffff'
-      }
+      },
+      // Recording in the background runs in a foreground service
+      permissions: [
+        'RECORD_AUDIO',
+        'FOREGROUND_SERVICE',
+        'FOREGROUND_SERVICE_MICROPHONE',
+        'POST_NOTIFICATIONS',
+      ],
     },
+    plugins: [
+      './plugins/withRecordingService',
+      // Release builds on Android block plain HTTP, which self-hosted
+      // transcription servers on the LAN usually speak
+      ['expo-build-properties', { android: { usesCleartextTraffic: true } }],
+    ],
     web: {},
     extra: {
       groqApiKey: process.env.EXPO_PUBLIC_GROQ_API_KEY ?? '',
@@ -0,0 +1,26 @@
+const { withAndroidManifest, AndroidConfig } = require('expo/config-plugins');
+
+// Android only lets an app keep using the microphone in the background from a
+// foreground service of the microphone type. Notifee's service is declared
+// without a type, so give it one.
+
+const SERVICE_NAME = 'app.notifee.core.ForegroundService';
+
+const withRecordingService = (config) => withAndroidManifest(config, (config) => {
+  const manifest = config.modResults;
+  manifest.manifest.$['xmlns:tools'] = 'http://schemas.android.com/tools';
+
+  const application = AndroidConfig.Manifest.getMainApplicationOrThrow(manifest);
+  application.service = (application.service || []).filter(service => service.$['android:name'] !== SERVICE_NAME);
+  application.service.push({
+    $: {
+      'android:name': SERVICE_NAME,
+      'android:exported': 'false',
+      'android:foregroundServiceType': 'microphone',
+      'tools:replace': 'android:foregroundServiceType',
+    },
+  });
+  return config;
+});
+
+module.exports = withRecordingService;
@@ -0,0 +1,78 @@
+import * as FileSystem from 'expo-file-system';
+import { readFileBytes } from './wav';
+import { AAC_SAMPLE_RATES, buildAacTrack, writeMp4Samples } from './mp4';
+
+// AAC takes are recorded as ADTS, a stream of frames that each start with a
+// small header. Unlike an M4A file, whose index is only written when the take
+// stops, a file cut off by a crash is still readable up to its last whole
+// frame. Takes are converted to M4A when they are saved to the library,
+// unless they are too large to build in memory; those stay ADTS and are read
+// as a track like an M4A file's (see src/mp4.js).
+
+export const ADTS_EXTENSION = '.aac';
+export const ADTS_MIME_TYPE = 'audio/aac';
+
+// Largest take converted to M4A; the new file is built in memory as base64
+export const MAX_CONVERT_BYTES = 64 * 1024 * 1024;
+
+export const isAdtsFile = (uri) => (uri || '').toLowerCase().endsWith(ADTS_EXTENSION);
+
+// Headers are read a piece of the file at a time
+const READ_BYTES = 256 * 1024;
+const HEADER_BYTES = 7;
+
+// Walk the frames of an ADTS file into a track like parseMp4Audio's. A frame
+// cut off at the end of the file is left out.
+export const parseAdtsAudio = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  const frames = [];
+  let format = null;
+  let offset = 0;
+
+  while (offset + HEADER_BYTES <= info.size) {
+    const bytes = await readFileBytes(uri, offset, Math.min(READ_BYTES, info.size - offset));
+    let position = 0;
+
+    while (position + HEADER_BYTES <= bytes.length) {
+      if (bytes[position] !== 0xff || (bytes[position + 1] & 0xf6) !== 0xf0) {
+        throw new Error(`ADTS file has no frame at byte ${offset + position}`);
+      }
+      const hasCrc = (bytes[position + 1] & 0x01) === 0;
+      const frameLength = ((bytes[position + 3] & 0x03) << 11) | (bytes[position + 4] << 3) | (bytes[position + 5] >> 5);
+      const headerLength = hasCrc ? HEADER_BYTES + 2 : HEADER_BYTES;
+      if (frameLength <= headerLength) {
+        throw new Error(`ADTS frame at byte ${offset + position} is malformed`);
+      }
+      if (offset + position + frameLength > info.size) {
+        break;
+      }
+
+      format = format || {
+        objectType: (bytes[position + 2] >> 6) + 1,
+        sampleRate: AAC_SAMPLE_RATES[(bytes[position + 2] >> 2) & 0x0f],
+        channels: ((bytes[position + 2] & 0x01) << 2) | (bytes[position + 3] >> 6),
+      };
+      frames.push({ offset: offset + position + headerLength, size: frameLength - headerLength });
+      position += frameLength;
+    }
+
+    // A frame's data may run past this piece; the next piece starts at the
+    // next header. Nothing read means the last frame was cut off.
+    if (position === 0) {
+      break;
+    }
+    offset += position;
+  }
+
+  if (!format?.sampleRate || !frames.length) {
+    throw new Error('ADTS file has no audio');
+  }
+  return buildAacTrack({ ...format, frames });
+};
+
+// Write the whole frames of an ADTS file to a new M4A file
+export const writeAdtsAsMp4 = async (uri, outUri) => {
+  const track = await parseAdtsAudio(uri);
+  await writeMp4Samples(uri, track, 0, track.sizes.length, outUri);
+  return track.durationMillis;
+};
@@ -0,0 +1,322 @@
+import { Audio } from 'expo-av';
+import { resolveRecordingUri } from './library';
+import { parseWavHeader, writeWavSegment, writeJoinedWav } from './wav';
+import { parseMp4Audio, writeMp4Segment, writeJoinedMp4 } from './mp4';
+import { isAdtsFile, parseAdtsAudio } from './adts';
+
+// Recordings made of several takes. A recording that was continued or
+// punched into has `audioSegments`, an ordered list of
+// { fileName, startMs, endMs }, each a range of one audio file in the
+// library. Played, transcribed and shown as one recording, its timeline is
+// the segments back to back. A recording of a single take has no list.
+// Trimming works on the timeline: `edit` is a range of it, like it is a range
+// of the file of a single take.
+
+// The segments of the part of a recording that plays. A single take is one
+// segment over its trimmed range; files that never made it into the library
+// keep their uri.
+export const getAudioSegments = (recording) => {
+  if (recording.audioSegments?.length) {
+    return recording.edit
+      ? sliceSegments(recording.audioSegments, recording.edit.startMs, recording.edit.endMs)
+      : recording.audioSegments;
+  }
+  const segment = {
+    fileName: recording.fileName,
+    startMs: recording.edit?.startMs || 0,
+    endMs: recording.edit?.endMs ?? (recording.durationMillis || 0),
+  };
+  return recording.fileName ? [segment] : [{ ...segment, uri: recording.uri }];
+};
+
+export const getSegmentsDuration = (segments) => {
+  return segments.reduce((total, segment) => total + segment.endMs - segment.startMs, 0);
+};
+
+// The segments between two timeline positions, the first and last shortened
+// to start and end there
+export const sliceSegments = (segments, startMs, endMs) => {
+  const sliced = [];
+  let offset = 0;
+  for (const segment of segments) {
+    const length = segment.endMs - segment.startMs;
+    const from = Math.max(startMs, offset);
+    const to = Math.min(endMs, offset + length);
+    if (to > from) {
+      sliced.push({ ...segment, startMs: segment.startMs + from - offset, endMs: segment.startMs + to - offset });
+    }
+    offset += length;
+  }
+  return sliced;
+};
+
+// The segments before timeline position cutMs. Used for punch-in, which
+// replaces everything after that point.
+export const cutSegments = (segments, cutMs) => sliceSegments(segments, 0, cutMs);
+
+// AAC audio of an M4A file, or of a take too large to convert that is still
+// ADTS. Ranges of either are written as M4A.
+const parseAacAudio = (uri) => (isAdtsFile(uri) ? parseAdtsAudio(uri) : parseMp4Audio(uri));
+
+// Open an audio file for cutting: its length and a function writing a range
+// of it to a new file
+export const openAudioFile = async (uri, isWav = /\.wav$/i.test(uri)) => {
+  if (isWav) {
+    const header = await parseWavHeader(uri);
+    return {
+      durationMillis: header.durationMillis,
+      extension: '.wav',
+      writeSegment: (startMs, endMs, outUri) => writeWavSegment(uri, header, startMs, endMs, outUri),
+    };
+  }
+
+  const track = await parseAacAudio(uri);
+  return {
+    durationMillis: track.durationMillis,
+    extension: '.m4a',
+    writeSegment: (startMs, endMs, outUri) => writeMp4Segment(uri, track, startMs, endMs, outUri),
+  };
+};
+
+// Write segments joined in order to one new file in their format, WAV or
+// M4A. All of them have to be recorded the same way.
+export const writeJoinedAudio = async (segments, outUri) => {
+  const uris = segments.map(resolveRecordingUri);
+  const wavCount = uris.filter(uri => /\.wav$/i.test(uri)).length;
+  if (wavCount > 0 && wavCount < uris.length) {
+    throw new Error('Takes recorded as WAV and M4A cannot be joined');
+  }
+
+  const pieces = [];
+  for (const [i, segment] of segments.entries()) {
+    const uri = uris[i];
+    pieces.push(wavCount > 0
+      ? { uri, header: await parseWavHeader(uri), startMs: segment.startMs, endMs: segment.endMs }
+      : { uri, track: await parseAacAudio(uri), startMs: segment.startMs, endMs: segment.endMs });
+  }
+  await (wavCount > 0 ? writeJoinedWav(pieces, outUri) : writeJoinedMp4(pieces, outUri));
+};
+
+// Plays segments back to back as one sound. It has the part of the
+// Audio.Sound interface the app uses, with positions on the timeline. The
+// next segment is loaded ahead of time and switched to on a timer set near
+// the end of the current one, so the join doesn't wait for a status update.
+const createSegmentPlayer = async (segments, options) => {
+  const offsets = [];
+  let total = 0;
+  segments.forEach(segment => {
+    offsets.push(total);
+    total += segment.endMs - segment.startMs;
+  });
+
+  const updateInterval = options.progressUpdateIntervalMillis || 500;
+  let soundOptions = { ...options, shouldPlay: false };
+  let index = 0;
+  let sound = null;
+  let preloaded = null;
+  let isPlaying = false;
+  let isSwitching = false;
+  let switchTimer = null;
+  let onStatus = null;
+
+  const load = async (i) => {
+    const { sound: loaded } = await Audio.Sound.createAsync({ uri: segments[i].uri }, soundOptions);
+    await loaded.setPositionAsync(segments[i].startMs);
+    return loaded;
+  };
+
+  const discardPreloaded = () => {
+    if (preloaded) {
+      preloaded.ready.then(loaded => loaded?.unloadAsync()).catch(() => {});
+      preloaded = null;
+    }
+  };
+
+  const preload = (i) => {
+    if (preloaded?.index === i) {
+      return;
+    }
+    discardPreloaded();
+    if (i < segments.length) {
+      preloaded = {
+        index: i,
+        ready: load(i).catch(error => {
+          console.error('Failed to preload recording segment:', error);
+          return null;
+        }),
+      };
+    }
+  };
+
+  const takeSound = async (i) => {
+    if (preloaded?.index === i) {
+      const { ready } = preloaded;
+      preloaded = null;
+      const loaded = await ready;
+      if (loaded) {
+        return loaded;
+      }
+    }
+    return load(i);
+  };
+
+  const clearSwitchTimer = () => {
+    clearTimeout(switchTimer);
+    switchTimer = null;
+  };
+
+  const toTimeline = (status) => {
+    const segment = segments[index];
+    const inSegment = Math.min(segment.endMs, Math.max(segment.startMs, status.positionMillis)) - segment.startMs;
+    return {
+      ...status,
+      isPlaying,
+      positionMillis: offsets[index] + inSegment,
+      durationMillis: total,
+      didJustFinish: false,
+    };
+  };
+
+  // Load the next segment of another file ahead of time
+  const preloadNext = () => {
+    const next = segments.findIndex((segment, i) => i > index && segment.uri !== segments[index].uri);
+    if (next !== -1) {
+      preload(next);
+    }
+  };
+
+  const switchTo = async (i, positionInSegment) => {
+    isSwitching = true;
+    clearSwitchTimer();
+    try {
+      // Spans of one file, e.g. of a voice-activated take, play on from the
+      // same sound
+      if (segments[i].uri === segments[index].uri) {
+        await sound.setPositionAsync(segments[i].startMs + positionInSegment);
+        index = i;
+        preloadNext();
+        return;
+      }
+      const previous = sound;
+      const upcoming = await takeSound(i);
+      await upcoming.setPositionAsync(segments[i].startMs + positionInSegment);
+      // Stop the old segment first: past its end may be audio that was
+      // replaced by a punch-in
+      previous.setOnPlaybackStatusUpdate(null);
+      await previous.pauseAsync().catch(() => {});
+      if (isPlaying) {
+        await upcoming.playAsync();
+      }
+      index = i;
+      sound = upcoming;
+      sound.setOnPlaybackStatusUpdate(handleStatus(sound));
+      previous.unloadAsync().catch(() => {});
+      preloadNext();
+    } finally {
+      isSwitching = false;
+    }
+  };
+
+  const advance = async () => {
+    if (isSwitching) {
+      return;
+    }
+    clearSwitchTimer();
+    if (index + 1 < segments.length) {
+      await switchTo(index + 1, 0);
+      return;
+    }
+    isPlaying = false;
+    await sound.pauseAsync().catch(() => {});
+    onStatus?.({ isLoaded: true, isPlaying: false, positionMillis: total, durationMillis: total, didJustFinish: true });
+  };
+
+  const handleStatus = (owner) => (status) => {
+    if (owner !== sound || isSwitching || !status.isLoaded) {
+      return;
+    }
+    const remaining = segments[index].endMs - status.positionMillis;
+    if (isPlaying && (status.didJustFinish || remaining <= 0)) {
+      advance().catch(error => console.error('Failed to play next recording segment:', error));
+      return;
+    }
+    if (isPlaying && !switchTimer && remaining < updateInterval * 1.5) {
+      switchTimer = setTimeout(() => {
+        switchTimer = null;
+        advance().catch(error => console.error('Failed to play next recording segment:', error));
+      }, remaining / (status.rate || 1));
+    }
+    onStatus?.(toTimeline(status));
+  };
+
+  sound = await load(0);
+  sound.setOnPlaybackStatusUpdate(handleStatus(sound));
+  preloadNext();
+
+  return {
+    getStatusAsync: async () => {
+      const status = await sound.getStatusAsync();
+      return status.isLoaded ? toTimeline(status) : status;
+    },
+    playAsync: async () => {
+      isPlaying = true;
+      await sound.playAsync();
+    },
+    pauseAsync: async () => {
+      isPlaying = false;
+      clearSwitchTimer();
+      await sound.pauseAsync();
+    },
+    stopAsync: async () => {
+      isPlaying = false;
+      clearSwitchTimer();
+      await sound.stopAsync();
+    },
+    unloadAsync: async () => {
+      isPlaying = false;
+      clearSwitchTimer();
+      discardPreloaded();
+      sound.setOnPlaybackStatusUpdate(null);
+      await sound.unloadAsync();
+    },
+    setPositionAsync: async (millis) => {
+      const target = Math.min(total, Math.max(0, millis));
+      let i = segments.length - 1;
+      while (i > 0 && offsets[i] > target) {
+        i--;
+      }
+      clearSwitchTimer();
+      if (i === index) {
+        await sound.setPositionAsync(segments[i].startMs + target - offsets[i]);
+      } else {
+        await switchTo(i, target - offsets[i]);
+      }
+    },
+    setRateAsync: async (rate, shouldCorrectPitch, pitchCorrectionQuality) => {
+      soundOptions = { ...soundOptions, rate, shouldCorrectPitch, pitchCorrectionQuality };
+      clearSwitchTimer();
+      await sound.setRateAsync(rate, shouldCorrectPitch, pitchCorrectionQuality);
+      // The preloaded segment was loaded at the old rate
+      discardPreloaded();
+      preloadNext();
+    },
+    setVolumeAsync: async (volume) => {
+      soundOptions = { ...soundOptions, volume };
+      await sound.setVolumeAsync(volume);
+    },
+    setOnPlaybackStatusUpdate: (callback) => {
+      onStatus = callback;
+    },
+  };
+};
+
+// Load a recording for playback: a plain Audio.Sound for a single take, a
+// segment player for a recording made of several
+export const loadRecordingSound = async (recording, options) => {
+  if (!recording.audioSegments?.length) {
+    const { sound } = await Audio.Sound.createAsync({ uri: recording.uri }, options);
+    return sound;
+  }
+  const segments = recording.audioSegments.map(segment => ({ ...segment, uri: resolveRecordingUri(segment) }));
+  return createSegmentPlayer(segments, options);
+};
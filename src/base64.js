@@ -0,0 +1,119 @@
+import * as FileSystem from 'expo-file-system';
+
+// Minimal base64 <-> Uint8Array conversion. expo-file-system only reads and
+// writes binary data as base64 strings, and atob/btoa are not available on
+// every JS engine React Native runs on.
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const LOOKUP = new Uint8Array(256);
+for (let i = 0; i < ALPHABET.length; i++) {
+  LOOKUP[ALPHABET.charCodeAt(i)] = i;
+}
+
+export const base64ToBytes = (base64) => {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const length = Math.floor((clean.length * 3) / 4);
+  const bytes = new Uint8Array(length);
+
+  let p = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = LOOKUP[clean.charCodeAt(i)];
+    const b = LOOKUP[clean.charCodeAt(i + 1)];
+    const c = LOOKUP[clean.charCodeAt(i + 2)];
+    const d = LOOKUP[clean.charCodeAt(i + 3)];
+
+    if (p < length) bytes[p++] = (a << 2) | (b >> 4);
+    if (p < length) bytes[p++] = ((b & 15) << 4) | (c >> 2);
+    if (p < length) bytes[p++] = ((c & 3) << 6) | d;
+  }
+
+  return bytes;
+};
+
+// Encodes in blocks and joins once at the end; building one long string with
+// += is very slow for multi-megabyte inputs.
+const ENCODE_BLOCK_BYTES = 3 * 4096;
+
+export const bytesToBase64 = (bytes) => {
+  const blocks = [];
+
+  for (let start = 0; start < bytes.length; start += ENCODE_BLOCK_BYTES) {
+    const end = Math.min(bytes.length, start + ENCODE_BLOCK_BYTES);
+    const chars = [];
+    let i = start;
+
+    for (; i + 2 < end; i += 3) {
+      const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+      chars.push(ALPHABET[(n >> 18) & 63], ALPHABET[(n >> 12) & 63], ALPHABET[(n >> 6) & 63], ALPHABET[n & 63]);
+    }
+
+    // Only the final block can have a partial group
+    const remaining = end - i;
+    if (remaining === 1) {
+      const n = bytes[i] << 16;
+      chars.push(ALPHABET[(n >> 18) & 63], ALPHABET[(n >> 12) & 63], '==');
+    } else if (remaining === 2) {
+      const n = (bytes[i] << 16) | (bytes[i + 1] << 8);
+      chars.push(ALPHABET[(n >> 18) & 63], ALPHABET[(n >> 12) & 63], ALPHABET[(n >> 6) & 63], '=');
+    }
+
+    blocks.push(chars.join(''));
+  }
+
+  return blocks.join('');
+};
+
+// Read size for file ranges, a multiple of 3 so chunks join without padding
+const READ_CHUNK_BYTES = 3 * 256 * 1024;
+
+// Assembles the contents of a new file as one base64 string from bytes and
+// ranges of other files. expo-file-system can't append, so the whole file is
+// written at once. Ranges are copied as base64 without decoding; only the 1-2
+// bytes left over where a piece doesn't end on a 3-byte boundary are decoded
+// and re-encoded together with the next piece.
+export const createBase64Builder = () => {
+  const parts = [];
+  let pending = new Uint8Array(0);
+
+  const read = (uri, position, length) => FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position,
+    length,
+  });
+
+  const addBytes = (bytes) => {
+    const combined = new Uint8Array(pending.length + bytes.length);
+    combined.set(pending);
+    combined.set(bytes, pending.length);
+    const aligned = combined.length - (combined.length % 3);
+    parts.push(bytesToBase64(combined.subarray(0, aligned)));
+    pending = combined.slice(aligned);
+  };
+
+  const addFileRange = async (uri, start, length) => {
+    let position = start;
+    const rangeEnd = start + length;
+
+    // Complete the leftover bytes of the previous piece first
+    if (pending.length > 0 && length > 0) {
+      const head = Math.min(length, 3 - pending.length);
+      addBytes(base64ToBytes(await read(uri, position, head)));
+      position += head;
+    }
+
+    const end = rangeEnd - ((rangeEnd - position) % 3);
+    for (; position < end; position += READ_CHUNK_BYTES) {
+      parts.push(await read(uri, position, Math.min(READ_CHUNK_BYTES, end - position)));
+    }
+    if (end < rangeEnd) {
+      addBytes(base64ToBytes(await read(uri, end, rangeEnd - end)));
+    }
+  };
+
+  const finish = () => {
+    parts.push(bytesToBase64(pending));
+    return parts.join('');
+  };
+
+  return { addBytes, addFileRange, finish };
+};
@@ -0,0 +1,173 @@
+import * as FileSystem from 'expo-file-system';
+import { saveSidecar, loadSidecar, deleteSidecar, resolveRecordingUri } from './library';
+import { openAudioFile, getSegmentsDuration, sliceSegments, writeJoinedAudio } from './audioSegments';
+
+// Transcription of recordings larger than the provider's upload limit. The
+// audio is cut into overlapping time segments, each is transcribed on its own
+// and the results are stitched back together. Recordings made of several
+// takes (see src/audioSegments.js) are always transcribed this way.
+
+// Whisper APIs reject uploads over 25MB
+export const MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+
+// Segments are built in memory as base64, so keep them well under the limit
+const MAX_SEGMENT_BYTES = 12 * 1024 * 1024;
+const SEGMENT_OVERLAP_MS = 5000;
+
+// Longest run of repeated words looked for when stitching plain text
+const MAX_TEXT_OVERLAP_WORDS = 40;
+const MIN_TEXT_OVERLAP_WORDS = 3;
+
+export const needsChunking = (fileSize) => fileSize > MAX_UPLOAD_BYTES;
+
+// Split [0, duration) into segments of at most MAX_SEGMENT_BYTES, each
+// overlapping the previous one by SEGMENT_OVERLAP_MS
+export const planSegments = (durationMillis, fileSize) => {
+  const bytesPerMs = fileSize / durationMillis;
+  const segmentMs = Math.max(SEGMENT_OVERLAP_MS * 4, Math.floor(MAX_SEGMENT_BYTES / bytesPerMs));
+  const stepMs = segmentMs - SEGMENT_OVERLAP_MS;
+
+  const segments = [];
+  for (let startMs = 0; startMs < durationMillis; startMs += stepMs) {
+    const endMs = Math.min(durationMillis, startMs + segmentMs);
+    segments.push({ index: segments.length, startMs, endMs });
+    if (endMs >= durationMillis) {
+      break;
+    }
+  }
+  return segments;
+};
+
+// The pieces a recording is transcribed in, on its timeline, each with a
+// function writing its audio to a file
+const planRecording = async (recording, fileSize) => {
+  if (!recording.audioSegments?.length) {
+    const source = await openAudioFile(recording.uri, recording.format?.container === 'wav' || /\.wav$/i.test(recording.uri));
+    return planSegments(source.durationMillis, fileSize).map(segment => ({
+      ...segment,
+      extension: source.extension,
+      write: (outUri) => source.writeSegment(segment.startMs, segment.endMs, outUri),
+    }));
+  }
+
+  // Pieces are planned over the whole timeline and written joined, so the many
+  // short spans of a voice-activated take don't each become an upload
+  const segments = recording.audioSegments;
+  const uris = segments.map(resolveRecordingUri);
+  const bytesPerMs = {};
+  let totalBytes = 0;
+  for (const [i, segment] of segments.entries()) {
+    const uri = uris[i];
+    if (!(uri in bytesPerMs)) {
+      const source = await openAudioFile(uri);
+      const info = await FileSystem.getInfoAsync(uri);
+      bytesPerMs[uri] = info.size / Math.max(1, source.durationMillis);
+    }
+    totalBytes += bytesPerMs[uri] * (segment.endMs - segment.startMs);
+  }
+  const key = segments.map(segment => `${segment.fileName || segment.uri}@${segment.startMs}-${segment.endMs}`).join('+');
+  return planSegments(getSegmentsDuration(segments), totalBytes).map(segment => ({
+    ...segment,
+    key,
+    extension: /\.wav$/i.test(uris[0]) ? '.wav' : '.m4a',
+    write: (outUri) => writeJoinedAudio(sliceSegments(segments, segment.startMs, segment.endMs), outUri),
+  }));
+};
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[.,!?;:"()[\]]/g, '');
+
+// Join two texts whose ends overlap, dropping the repeated words
+const mergeOverlappingText = (previous, next) => {
+  const previousWords = previous.split(/\s+/).filter(Boolean);
+  const nextWords = next.split(/\s+/).filter(Boolean);
+  const maxOverlap = Math.min(MAX_TEXT_OVERLAP_WORDS, previousWords.length, nextWords.length);
+
+  for (let length = maxOverlap; length >= MIN_TEXT_OVERLAP_WORDS; length--) {
+    const tail = previousWords.slice(-length).map(normalizeWord).join(' ');
+    const head = nextWords.slice(0, length).map(normalizeWord).join(' ');
+    if (tail === head) {
+      return [...previousWords, ...nextWords.slice(length)].join(' ');
+    }
+  }
+  return [...previousWords, ...nextWords].join(' ');
+};
+
+// Stitch per-segment results into one transcript. Segment timestamps are
+// relative to their own audio, so they are shifted by the segment's offset.
+// Inside each overlap everything before its midpoint comes from the earlier
+// segment and everything after from the later one.
+export const stitchTranscripts = (parts) => {
+  const haveTimings = parts.every(p => Array.isArray(p.result.segments));
+
+  // Segments of one recording share a language; take the first one reported
+  const language = parts.find(p => p.result.language)?.result.language || null;
+
+  if (!haveTimings) {
+    const text = parts.reduce((merged, p) => mergeOverlappingText(merged, p.result.text || ''), '');
+    return { text, segments: null, words: null, language };
+  }
+
+  const haveWords = parts.every(p => Array.isArray(p.result.words));
+  const segments = [];
+  const words = [];
+
+  parts.forEach((part, i) => {
+    const offset = part.startMs / 1000;
+    const from = i > 0 ? (part.startMs + parts[i - 1].endMs) / 2000 : -Infinity;
+    const to = i + 1 < parts.length ? (parts[i + 1].startMs + part.endMs) / 2000 : Infinity;
+
+    const keep = (items, list) => items.forEach(item => {
+      const start = item.start + offset;
+      if (start >= from && start < to) {
+        list.push({ ...item, start, end: item.end + offset });
+      }
+    });
+
+    keep(part.result.segments, segments);
+    if (haveWords) {
+      keep(part.result.words, words);
+    }
+  });
+
+  return {
+    text: segments.map(s => s.text.trim()).filter(Boolean).join(' '),
+    segments,
+    words: haveWords ? words : null,
+    language,
+  };
+};
+
+// Transcribe a large recording segment by segment. Finished segments are
+// cached in the `cacheName` sidecar, so a retry picks up where the last
+// attempt failed. onProgress(done, total) is called as segments complete.
+export const transcribeInSegments = async (recording, fileSize, transcribeFile, onProgress, cacheName = 'transcript-parts') => {
+  const plan = await planRecording(recording, fileSize);
+  const planKey = [plan[0]?.key, ...plan.map(s => `${s.startMs}-${s.endMs}`)].filter(Boolean).join(',');
+
+  const cached = await loadSidecar(recording.id, cacheName).catch(() => null);
+  const results = cached?.planKey === planKey ? cached.results : {};
+
+  console.log(`Transcribing ${recording.id} in ${plan.length} segments`);
+  onProgress(Object.keys(results).length, plan.length);
+
+  for (const segment of plan) {
+    if (results[segment.index]) {
+      continue;
+    }
+
+    const segmentUri = `${FileSystem.cacheDirectory}segment-${recording.id}-${segment.index}${segment.extension}`;
+    try {
+      await segment.write(segmentUri);
+      results[segment.index] = await transcribeFile(segmentUri, segment.extension);
+    } finally {
+      await FileSystem.deleteAsync(segmentUri, { idempotent: true });
+    }
+
+    await saveSidecar(recording.id, cacheName, { planKey, results });
+    onProgress(Object.keys(results).length, plan.length);
+  }
+
+  const stitched = stitchTranscripts(plan.map(segment => ({ ...segment, result: results[segment.index] })));
+  await deleteSidecar(recording.id, cacheName);
+  return stitched;
+};
@@ -0,0 +1,72 @@
+// Date helpers for grouping recordings by the day they were made
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Whole calendar days between two timestamps, ignoring DST shifts
+const daysBetween = (from, to) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
+
+// Milliseconds until local midnight, used to refresh section titles
+export const msUntilNextDay = (now = Date.now()) => {
+  const next = new Date(startOfDay(now));
+  next.setDate(next.getDate() + 1);
+  return next.getTime() - now;
+};
+
+// "Today", "Yesterday", a weekday name for the last week, then a full date
+export const getSectionTitle = (timestamp, today = Date.now()) => {
+  const days = daysBetween(timestamp, today);
+
+  if (days === 0) {
+    return 'Today';
+  }
+  if (days === 1) {
+    return 'Yesterday';
+  }
+  if (days > 1 && days < 7) {
+    return new Date(timestamp).toLocaleDateString('en-US', { weekday: 'long' });
+  }
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+// Group recordings (newest first) into [{ key, title, data }] sections
+export const groupRecordingsByDay = (recordings, today = Date.now()) => {
+  const sorted = [...recordings].sort((a, b) => b.createdAt - a.createdAt);
+  const sections = [];
+
+  sorted.forEach(recording => {
+    const key = startOfDay(recording.createdAt);
+    let section = sections[sections.length - 1];
+    if (!section || section.key !== key) {
+      section = { key, title: getSectionTitle(recording.createdAt, today), data: [] };
+      sections.push(section);
+    }
+    section.data.push(recording);
+  });
+
+  return sections;
+};
+
+// Label and day number for the device display, e.g. "TODAY" / "13" or "MAR" / "02"
+export const getDisplayDate = (timestamp, today = Date.now()) => {
+  const date = new Date(timestamp);
+  const label = daysBetween(timestamp, today) === 0
+    ? 'TODAY'
+    : date.toLocaleDateString('en-US', { month: 'short' }).toUpperCase();
+
+  return {
+    label,
+    day: date.getDate().toString().padStart(2, '0'),
+  };
+};
@@ -0,0 +1,20 @@
+// Durations are kept as numbers of milliseconds and only formatted for display
+
+// "h.mm.ss", the format of the device display
+export const formatDuration = (millis) => {
+  const totalSeconds = Math.floor(Math.max(0, millis || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  return `${hours}.${minutes.toString().padStart(2, '0')}.${secs.toString().padStart(2, '0')}`;
+};
+
+// Tenths digit of a duration, for the display's optional tenths view
+export const getTenths = (millis) => Math.floor(Math.max(0, millis || 0) / 100) % 10;
+
+// Entries stored before library version 3 only had the formatted "h.mm.ss"
+// string, with whole-second precision
+export const parseLegacyDuration = (text) => {
+  const [hours = 0, minutes = 0, seconds = 0] = (text || '').split('.').map(part => Number(part) || 0);
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+};
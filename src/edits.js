@@ -0,0 +1,108 @@
+import { loadSidecar, getDurationMillis } from './library';
+import { ENVELOPE_INTERVAL_MS } from './levels';
+import { peaksFromEnvelope, computePeaks } from './waveform';
+import { parseWavHeader, writeWavSegment } from './wav';
+import { sliceSegments, writeJoinedAudio } from './audioSegments';
+
+// Non-destructive trimming. A recording's `edit` is { startMs, endMs } over
+// its original audio file; the file itself is never changed. Timings stored
+// in sidecars (levels, transcript) stay in file time and are mapped into the
+// trimmed range when used.
+
+// Shortest range a trim or split may leave
+export const MIN_EDIT_MS = 500;
+
+// The part of the file that plays, in file time. fileMillis can be passed
+// when the real length is known, e.g. from a loaded sound.
+export const getPlayableRange = (recording, fileMillis = getDurationMillis(recording)) => {
+  const startMs = Math.max(0, recording.edit?.startMs || 0);
+  const endMs = Math.min(fileMillis, recording.edit?.endMs ?? fileMillis);
+  return { startMs, endMs, durationMillis: Math.max(0, endMs - startMs) };
+};
+
+// Segment and word timings inside a range, shifted so the range starts at 0.
+// Segments are kept when their midpoint is inside the range.
+export const clipTimings = (timings, range) => {
+  if (!timings) {
+    return null;
+  }
+  const from = range.startMs / 1000;
+  const to = range.endMs / 1000;
+
+  const clip = (items) => items
+    .filter(item => {
+      const middle = (item.start + item.end) / 2;
+      return middle >= from && middle < to;
+    })
+    .map(item => ({
+      ...item,
+      start: Math.max(0, item.start - from),
+      end: Math.min(to, item.end) - from,
+    }));
+
+  return {
+    segments: clip(timings.segments || []),
+    words: timings.words ? clip(timings.words) : null,
+  };
+};
+
+export const textFromTimings = (timings) => {
+  return timings.segments.map(s => s.text.trim()).filter(Boolean).join(' ');
+};
+
+// Transcript text for a recording's trimmed range. Only machine transcripts
+// with timings can be cut; anything else is returned unchanged.
+export const getTrimmedTranscript = (recording, text, timings) => {
+  if (!recording.edit || !timings || recording.transcriptEdited) {
+    return text;
+  }
+  return textFromTimings(clipTimings(timings, getPlayableRange(recording)));
+};
+
+// Loudness envelope entries inside a range
+export const sliceEnvelope = (envelope, range) => {
+  if (!envelope) {
+    return null;
+  }
+  return envelope.slice(
+    Math.floor(range.startMs / ENVELOPE_INTERVAL_MS),
+    Math.ceil(range.endMs / ENVELOPE_INTERVAL_MS)
+  );
+};
+
+// Waveform peaks for a range: from the envelope when there is one, otherwise
+// the matching part of the peaks read from the whole file
+export const getRangePeaks = async (recording, range) => {
+  const envelope = await loadSidecar(recording.id, 'levels').catch(() => null);
+  if (envelope && envelope.length > 0) {
+    return peaksFromEnvelope(sliceEnvelope(envelope, range));
+  }
+
+  const fileMillis = getDurationMillis(recording);
+  const fullPeaks = await computePeaks(recording);
+  if (fullPeaks.length === 0 || !fileMillis) {
+    return [];
+  }
+  const first = Math.floor((range.startMs / fileMillis) * fullPeaks.length);
+  const last = Math.ceil((range.endMs / fileMillis) * fullPeaks.length);
+  return fullPeaks.slice(first, Math.max(first + 1, last));
+};
+
+// Only PCM recordings can be cut into a new file without re-encoding
+export const canRenderEdit = (recording) => {
+  if (recording.audioSegments?.length) {
+    return recording.audioSegments.every(segment => /\.wav$/i.test(segment.fileName || segment.uri || ''));
+  }
+  return recording.format?.container === 'wav' || /\.wav$/i.test(recording.uri || '');
+};
+
+// Write the trimmed range of a PCM recording to a new WAV file. A recording
+// made of several takes is joined into it.
+export const renderEditToWav = async (recording, range, outUri) => {
+  if (recording.audioSegments?.length) {
+    await writeJoinedAudio(sliceSegments(recording.audioSegments, range.startMs, range.endMs), outUri);
+    return;
+  }
+  const header = await parseWavHeader(recording.uri);
+  await writeWavSegment(recording.uri, header, range.startMs, range.endMs, outUri);
+};
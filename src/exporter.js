@@ -0,0 +1,211 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { loadSidecar } from './library';
+import { getRecordingMimeType } from './recordingPresets';
+import { getLanguageName } from './languages';
+import { writeZip } from './zip';
+import { getPlayableRange, clipTimings } from './edits';
+import { getPlayableMarkers, getMarkerLabel } from './markers';
+import { formatDuration } from './durations';
+import { getAudioSegments, writeJoinedAudio } from './audioSegments';
+import { isAdtsFile, ADTS_EXTENSION, ADTS_MIME_TYPE } from './adts';
+
+// Exporting recordings and their transcripts to other apps through the
+// system share sheet. A single file is shared as is; anything more is
+// bundled into a ZIP archive.
+
+export const EXPORT_FORMATS = {
+  txt: { label: 'TXT', extension: '.txt', mimeType: 'text/plain' },
+  md: { label: 'Markdown', extension: '.md', mimeType: 'text/markdown' },
+  srt: { label: 'SRT', extension: '.srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', extension: '.vtt', mimeType: 'text/vtt' },
+};
+
+// Export files are staged here and replaced by the next export
+const EXPORT_DIR = `${FileSystem.cacheDirectory}export/`;
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+// hh:mm:ss plus milliseconds after `separator` (',' for SRT, '.' for WebVTT)
+const formatCueTime = (seconds, separator) => {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMillis % 1000, 3)}`;
+};
+
+// m:ss, used for timestamps in Markdown
+const formatOffset = (seconds) => {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${pad(total % 60)}`;
+};
+
+// Transcript text worth exporting, or null while there is none
+const getExportableTranscript = (recording) => {
+  const isPending = recording.isTranscribing && !recording.transcriptEdited;
+  if (isPending || recording.transcriptionFailed || !recording.transcription) {
+    return null;
+  }
+  return recording.transcription;
+};
+
+const getExportTitle = (recording) => {
+  if (recording.title) {
+    return recording.title;
+  }
+  const date = new Date(recording.createdAt);
+  return `Recording ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}.${pad(date.getMinutes())}.${pad(date.getSeconds())}`;
+};
+
+// Characters that aren't allowed in file names on common file systems
+const toFileName = (title) => title.replace(/[\\/:*?"<>|\n\r\t]+/g, '-').trim().slice(0, 100) || 'Recording';
+
+// Subtitle cues from segment timings. Without timings the whole transcript
+// becomes one cue spanning the recording.
+const getCues = (recording, text, timings) => {
+  if (timings?.segments?.length) {
+    return timings.segments
+      .map(segment => ({ start: segment.start, end: segment.end, text: segment.text.trim() }))
+      .filter(cue => cue.text);
+  }
+  return [{ start: 0, end: getPlayableRange(recording).durationMillis / 1000, text }];
+};
+
+const buildSrt = (cues) => cues
+  .map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+  .join('\n');
+
+const buildVtt = (cues) => 'WEBVTT\n\n' + cues
+  .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`)
+  .join('\n');
+
+const buildMarkdown = (recording, text, timings) => {
+  const lines = [
+    `# ${getExportTitle(recording)}`,
+    '',
+    `- Recorded: ${new Date(recording.createdAt).toLocaleString('en-US')}`,
+    `- Duration: ${formatDuration(getPlayableRange(recording).durationMillis)}`,
+  ];
+  if (recording.detectedLanguage) {
+    lines.push(`- Language: ${getLanguageName(recording.detectedLanguage)}`);
+  }
+  if (recording.tags?.length) {
+    lines.push(`- Tags: ${recording.tags.join(', ')}`);
+  }
+  lines.push('');
+
+  const markers = getPlayableMarkers(recording);
+  if (markers.length > 0) {
+    lines.push('## Markers', '');
+    markers.forEach((marker, i) => {
+      lines.push(`- **[${formatOffset(marker.millis / 1000)}]** ${getMarkerLabel(marker, i)}`);
+    });
+    lines.push('');
+  }
+
+  if (timings?.segments?.length) {
+    timings.segments.forEach(segment => {
+      lines.push(`**[${formatOffset(segment.start)}]** ${segment.text.trim()}`, '');
+    });
+  } else {
+    lines.push(text, '');
+  }
+
+  if (recording.translation) {
+    lines.push('## English translation', '', recording.translation, '');
+  }
+  return lines.join('\n');
+};
+
+export const buildTranscriptFile = (recording, text, timings, format) => {
+  switch (format) {
+    case 'md':
+      return buildMarkdown(recording, text, timings);
+    case 'srt':
+      return buildSrt(getCues(recording, text, timings));
+    case 'vtt':
+      return buildVtt(getCues(recording, text, timings));
+    default:
+      return `${text}\n`;
+  }
+};
+
+// Make a base name unique within one export
+const claimName = (name, usedNames) => {
+  let candidate = name;
+  for (let n = 2; usedNames.has(candidate); n++) {
+    candidate = `${name} (${n})`;
+  }
+  usedNames.add(candidate);
+  return candidate;
+};
+
+// Export recordings as audio and/or transcript files in `format` and open the
+// share sheet
+export const exportRecordings = async (recordings, { format, includeAudio }) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await FileSystem.deleteAsync(EXPORT_DIR, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(EXPORT_DIR, { intermediates: true });
+
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.txt;
+  const usedNames = new Set();
+  const files = [];
+
+  for (const recording of recordings) {
+    const baseName = claimName(toFileName(getExportTitle(recording)), usedNames);
+
+    if (includeAudio && (recording.audioSegments?.length || (recording.edit && recording.uri))) {
+      // A trimmed recording or one made of several takes is exported as one
+      // file of the part that plays, so it lines up with the transcript cues
+      const name = `${baseName}${recording.format?.extension || '.m4a'}`;
+      const uri = `${EXPORT_DIR}${name}`;
+      await writeJoinedAudio(getAudioSegments(recording), uri);
+      files.push({ name, uri, mimeType: getRecordingMimeType(recording) });
+    } else if (includeAudio && isAdtsFile(recording.uri)) {
+      // A take too large to convert to M4A is shared as it was recorded
+      files.push({ name: `${baseName}${ADTS_EXTENSION}`, uri: recording.uri, mimeType: ADTS_MIME_TYPE });
+    } else if (includeAudio && recording.uri) {
+      const name = `${baseName}${recording.format?.extension || '.m4a'}`;
+      files.push({ name, uri: recording.uri, mimeType: getRecordingMimeType(recording) });
+    }
+
+    const text = getExportableTranscript(recording);
+    if (text) {
+      const stored = recording.hasTranscriptTimings
+        ? await loadSidecar(recording.id, 'transcript').catch(() => null)
+        : null;
+      // Cue times follow the trimmed range
+      const timings = stored && recording.edit ? clipTimings(stored, getPlayableRange(recording)) : stored;
+      const name = `${baseName}${exportFormat.extension}`;
+      const uri = `${EXPORT_DIR}${name}`;
+      await FileSystem.writeAsStringAsync(uri, buildTranscriptFile(recording, text, timings, format));
+      files.push({ name, uri, mimeType: exportFormat.mimeType });
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error('The selected recordings have no audio or transcript to export');
+  }
+
+  let shared = files[0];
+  if (files.length > 1) {
+    const name = recordings.length === 1
+      ? `${toFileName(getExportTitle(recordings[0]))}.zip`
+      : `Recordings (${recordings.length}).zip`;
+    const uri = `${EXPORT_DIR}${name}`;
+    console.log(`Bundling ${files.length} files into ${name}`);
+    await writeZip(files, uri);
+    shared = { uri, mimeType: 'application/zip', uti: 'public.zip-archive' };
+  }
+
+  await Sharing.shareAsync(shared.uri, {
+    mimeType: shared.mimeType,
+    UTI: shared.uti,
+    dialogTitle: 'Export recordings',
+  });
+};
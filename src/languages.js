@@ -0,0 +1,37 @@
+// Languages offered for transcription, as ISO-639-1 codes accepted by the
+// Whisper APIs. 'auto' leaves detection to the server.
+export const AUTO_LANGUAGE = 'auto';
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'ar', name: 'Arabic' },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+];
+
+// Verbose responses report the detected language by name ("english"), some
+// servers by code. Normalize to a code where we know it.
+export const normalizeLanguage = (value) => {
+  if (!value) {
+    return null;
+  }
+  const lower = value.toLowerCase();
+  const known = LANGUAGES.find(l => l.code === lower || l.name.toLowerCase() === lower);
+  return known ? known.code : lower;
+};
+
+export const getLanguageName = (code) => {
+  if (code === AUTO_LANGUAGE) {
+    return 'Auto-detect';
+  }
+  return LANGUAGES.find(l => l.code === code)?.name || code;
+};
@@ -0,0 +1,90 @@
+import { useState, useRef, useCallback } from 'react';
+
+// Metering range mapped onto the level bars. Expo reports dBFS from -160 to 0.
+export const METER_FLOOR_DB = -60;
+export const CLIP_DB = -1;
+export const LEVEL_BAR_COUNT = 5;
+
+// Resolution of the loudness envelope saved with each recording
+export const ENVELOPE_INTERVAL_MS = 100;
+
+const PEAK_HOLD_MS = 1000;
+const PEAK_DECAY_PER_UPDATE = 0.05;
+const CLIP_HOLD_MS = 1500;
+
+// Convert a dBFS reading into a 0..1 level
+export const dbToLevel = (db) => {
+  if (typeof db !== 'number' || Number.isNaN(db)) {
+    return 0;
+  }
+  const clamped = Math.min(0, Math.max(METER_FLOOR_DB, db));
+  return (clamped - METER_FLOOR_DB) / -METER_FLOOR_DB;
+};
+
+// Accumulates one level per ENVELOPE_INTERVAL_MS of recorded audio. Indexing by
+// the recorder's own duration keeps paused stretches out of the envelope.
+export const createEnvelopeBuilder = () => {
+  const levels = [];
+
+  return {
+    push(durationMillis, level) {
+      const index = Math.floor(durationMillis / ENVELOPE_INTERVAL_MS);
+      const previous = levels.length > 0 ? levels[levels.length - 1] : 0;
+      while (levels.length < index) {
+        levels.push(previous);
+      }
+      levels[index] = Math.round(level * 100) / 100;
+    },
+    get levels() {
+      return levels;
+    },
+  };
+};
+
+// Look up the envelope level at a playback position
+export const envelopeLevelAt = (envelope, positionMillis) => {
+  if (!envelope || envelope.length === 0) {
+    return 0;
+  }
+  const index = Math.floor(positionMillis / ENVELOPE_INTERVAL_MS);
+  return envelope[Math.min(index, envelope.length - 1)] || 0;
+};
+
+// Level meter state with peak-hold and a latched clip warning
+export const useLevelMeter = () => {
+  const [meter, setMeter] = useState({ level: 0, peak: 0, isClipping: false });
+  const peakRef = useRef({ value: 0, at: 0 });
+  const clipAtRef = useRef(0);
+
+  const update = useCallback((level, isClip = false) => {
+    const now = Date.now();
+    const peak = peakRef.current;
+
+    if (level >= peak.value) {
+      peakRef.current = { value: level, at: now };
+    } else if (now - peak.at > PEAK_HOLD_MS) {
+      peakRef.current = {
+        value: Math.max(level, peak.value - PEAK_DECAY_PER_UPDATE),
+        at: peak.at,
+      };
+    }
+
+    if (isClip) {
+      clipAtRef.current = now;
+    }
+
+    setMeter({
+      level,
+      peak: peakRef.current.value,
+      isClipping: now - clipAtRef.current < CLIP_HOLD_MS,
+    });
+  }, []);
+
+  const reset = useCallback(() => {
+    peakRef.current = { value: 0, at: 0 };
+    clipAtRef.current = 0;
+    setMeter({ level: 0, peak: 0, isClipping: false });
+  }, []);
+
+  return { meter, update, reset };
+};
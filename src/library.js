@@ -0,0 +1,319 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as FileSystem from 'expo-file-system';
+import { parseLegacyDuration } from './durations';
+import { isAdtsFile, writeAdtsAsMp4, MAX_CONVERT_BYTES } from './adts';
+
+// Library layout on disk. Audio files live next to a JSON index that is
+// rewritten whenever the recordings list changes.
+export const LIBRARY_DIR = `${FileSystem.documentDirectory}recordings/`;
+const INDEX_URI = `${LIBRARY_DIR}library.json`;
+const INDEX_TMP_URI = `${LIBRARY_DIR}library.json.tmp`;
+
+// Bump this and add a migration below whenever the stored entry shape changes
+export const LIBRARY_VERSION = 3;
+
+// Each migration upgrades an index from version N to N + 1
+const MIGRATIONS = {
+  // Version 0 was a bare array of entries with no version wrapper
+  0: (index) => ({
+    version: 1,
+    recordings: (Array.isArray(index) ? index : []).map(r => ({
+      ...r,
+      createdAt: r.createdAt || (typeof r.id === 'number' ? r.id : Date.now()),
+    })),
+  }),
+  // Version 1 stored a fixed section title; sections are now derived from createdAt
+  1: (index) => ({
+    version: 2,
+    recordings: index.recordings.map(({ section, ...r }) => r),
+  }),
+  // Version 2 could have only a formatted "h.mm.ss" duration; lengths are now
+  // always a number of milliseconds, formatted for display
+  2: (index) => ({
+    version: 3,
+    recordings: index.recordings.map(({ duration, ...r }) => ({
+      ...r,
+      durationMillis: typeof r.durationMillis === 'number' ? r.durationMillis : parseLegacyDuration(duration),
+    })),
+  }),
+};
+
+const migrateIndex = (raw) => {
+  let index = raw;
+  let version = Array.isArray(raw) ? 0 : (raw?.version ?? 0);
+
+  while (version < LIBRARY_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No library migration from version ${version}`);
+    }
+    index = migrate(index);
+    version = index.version;
+    console.log('Migrated library index to version', version);
+  }
+
+  if (version > LIBRARY_VERSION) {
+    throw new Error(`Library index version ${version} is newer than this app supports`);
+  }
+
+  return index;
+};
+
+// Resolve the playable URI for a stored entry
+export const resolveRecordingUri = (entry) => {
+  if (entry.fileName) {
+    return `${LIBRARY_DIR}${entry.fileName}`;
+  }
+  return entry.uri || null;
+};
+
+// Library files an entry plays: its own and those of its takes, which may be
+// named after another entry it was split from
+export const getAudioFileNames = (entry) => {
+  return [entry.fileName, ...(entry.audioSegments || []).map(segment => segment.fileName)].filter(Boolean);
+};
+
+// Length of a library entry's audio file in milliseconds
+export const getDurationMillis = (recording) => recording.durationMillis || 0;
+
+// Clean up free-form tags: trimmed, without a leading '#', no empty or
+// duplicate entries (case-insensitive, keeping the first spelling)
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  return tags
+    .map(tag => tag.trim().replace(/^#+/, ''))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+// Every tag used in the library, sorted
+export const getAllTags = (recordings) => {
+  const tags = new Set();
+  recordings.forEach(r => (r.tags || []).forEach(tag => tags.add(tag)));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+};
+
+const hydrate = (entry) => ({ ...entry, uri: resolveRecordingUri(entry) });
+
+const toStored = (entry) => {
+  const stored = { ...entry };
+  // The absolute URI is derived on load, since the documents path can change
+  // between app updates. Entries whose file could not be moved into the
+  // library keep their original URI.
+  if (stored.fileName) {
+    delete stored.uri;
+  }
+  return stored;
+};
+
+const ensureLibraryDir = async () => {
+  const info = await FileSystem.getInfoAsync(LIBRARY_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(LIBRARY_DIR, { intermediates: true });
+  }
+};
+
+export const loadLibrary = async () => {
+  await ensureLibraryDir();
+
+  const info = await FileSystem.getInfoAsync(INDEX_URI);
+  if (!info.exists) {
+    return [];
+  }
+
+  const contents = await FileSystem.readAsStringAsync(INDEX_URI);
+  const raw = JSON.parse(contents);
+  const index = migrateIndex(raw);
+
+  if (index !== raw) {
+    await saveLibrary(index.recordings);
+  }
+
+  return index.recordings.map(hydrate);
+};
+
+export const saveLibrary = async (recordings) => {
+  await ensureLibraryDir();
+
+  const index = {
+    version: LIBRARY_VERSION,
+    recordings: recordings.map(toStored),
+  };
+
+  // Write to a temp file first so a crash mid-write can't corrupt the index
+  await FileSystem.writeAsStringAsync(INDEX_TMP_URI, JSON.stringify(index));
+  await FileSystem.moveAsync({ from: INDEX_TMP_URI, to: INDEX_URI });
+};
+
+const backupIndex = async () => {
+  try {
+    const backupUri = `${INDEX_URI}.broken-${Date.now()}`;
+    await FileSystem.copyAsync({ from: INDEX_URI, to: backupUri });
+    console.log('Backed up unreadable library index to:', backupUri);
+  } catch (error) {
+    console.error('Failed to back up library index:', error);
+  }
+};
+
+// Move a finished recording out of the cache directory into the library.
+// ADTS takes (see src/adts.js) are stored as M4A instead when they are small
+// enough to convert. Returns the file name relative to LIBRARY_DIR.
+export const importRecordingFile = async (sourceUri, id, suffix = '') => {
+  await ensureLibraryDir();
+
+  const info = await FileSystem.getInfoAsync(sourceUri);
+  if (isAdtsFile(sourceUri) && info.size <= MAX_CONVERT_BYTES) {
+    const fileName = `recording-${id}${suffix}.m4a`;
+    await writeAdtsAsMp4(sourceUri, `${LIBRARY_DIR}${fileName}`);
+    await FileSystem.deleteAsync(sourceUri, { idempotent: true });
+    console.log('Converted recording into library:', fileName);
+    return fileName;
+  }
+
+  const extension = sourceUri.match(/\.[a-z0-9]+$/i)?.[0] || '.m4a';
+  const fileName = `recording-${id}${suffix}${extension}`;
+
+  await FileSystem.moveAsync({ from: sourceUri, to: `${LIBRARY_DIR}${fileName}` });
+  console.log('Moved recording into library:', fileName);
+
+  return fileName;
+};
+
+// Per-recording data that is too large for the index (level envelopes and
+// similar) is stored in sidecar JSON files next to the audio.
+const sidecarUri = (id, name) => `${LIBRARY_DIR}recording-${id}.${name}.json`;
+
+export const saveSidecar = async (id, name, data) => {
+  await ensureLibraryDir();
+  await FileSystem.writeAsStringAsync(sidecarUri(id, name), JSON.stringify(data));
+};
+
+export const loadSidecar = async (id, name) => {
+  const uri = sidecarUri(id, name);
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) {
+    return null;
+  }
+  return JSON.parse(await FileSystem.readAsStringAsync(uri));
+};
+
+export const deleteSidecar = async (id, name) => {
+  await FileSystem.deleteAsync(sidecarUri(id, name), { idempotent: true });
+};
+
+// Delete a recording's audio file and every sidecar stored next to it. The
+// audio is kept when another entry (split from this one) still plays it.
+export const deleteRecordingFiles = async (entry, keepAudio = false, keepNames = new Set()) => {
+  const uri = resolveRecordingUri(entry);
+  if (uri && !keepAudio) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  }
+
+  // Take files other entries don't play any more
+  const takeNames = getAudioFileNames(entry).filter(name => name !== entry.fileName && !keepNames.has(name));
+  const prefix = `recording-${entry.id}.`;
+  const names = await FileSystem.readDirectoryAsync(LIBRARY_DIR);
+  await Promise.all(
+    [...new Set([...takeNames, ...names.filter(name => name.startsWith(prefix))])]
+      .filter(name => name !== entry.fileName && !keepNames.has(name))
+      .map(name => FileSystem.deleteAsync(`${LIBRARY_DIR}${name}`, { idempotent: true }))
+  );
+  console.log('Deleted files of recording:', entry.id);
+};
+
+// React hook that owns the in-memory recordings list and keeps the
+// on-disk index in sync with it. When the index can't be read, loadError is
+// set and the index is never written, so the empty list shown instead can't
+// replace it.
+export const useLibrary = () => {
+  const [recordings, setRecordings] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const recordingsRef = useRef(recordings);
+  const writeQueue = useRef(Promise.resolve());
+
+  useEffect(() => {
+    loadLibrary()
+      .then(loaded => {
+        console.log('Loaded library with', loaded.length, 'recordings');
+        recordingsRef.current = loaded;
+        setRecordings(loaded);
+      })
+      .catch(error => {
+        console.error('Failed to load library:', error);
+        // Set before isLoaded so the save below never runs with the empty list
+        setLoadError(error);
+        return backupIndex();
+      })
+      .finally(() => setIsLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded || loadError) {
+      return;
+    }
+
+    // Serialize writes so an older snapshot never lands after a newer one
+    writeQueue.current = writeQueue.current
+      .then(() => saveLibrary(recordings))
+      .catch(error => console.error('Failed to save library:', error));
+  }, [recordings, isLoaded, loadError]);
+
+  // Apply a change to the ref right away as well as to state, so async flows
+  // can read an entry back before React has re-rendered
+  const applyChange = useCallback((change) => {
+    recordingsRef.current = change(recordingsRef.current);
+    setRecordings(change);
+  }, []);
+
+  const getRecording = useCallback(
+    (id) => recordingsRef.current.find(r => r.id === id) || null,
+    []
+  );
+
+  const addRecording = useCallback((entry) => {
+    applyChange(prev => [hydrate(entry), ...prev]);
+  }, [applyChange]);
+
+  const updateRecording = useCallback((id, patch) => {
+    applyChange(prev =>
+      prev.map(r => {
+        if (r.id !== id) {
+          return r;
+        }
+        const changes = typeof patch === 'function' ? patch(r) : patch;
+        return hydrate({ ...r, ...changes });
+      })
+    );
+  }, [applyChange]);
+
+  // Drop an entry from the index, then delete its files. The index goes
+  // first so a failed delete leaves stray files rather than a broken entry.
+  const removeRecording = useCallback(async (id) => {
+    const entry = recordingsRef.current.find(r => r.id === id);
+    if (!entry) {
+      return;
+    }
+    applyChange(prev => prev.filter(r => r.id !== id));
+    const isAudioShared = recordingsRef.current.some(r => r.uri && r.uri === entry.uri);
+    // Takes of a split recording are played by both parts
+    const sharedNames = new Set(recordingsRef.current.flatMap(getAudioFileNames));
+    await deleteRecordingFiles(entry, isAudioShared, sharedNames);
+  }, [applyChange]);
+
+  return {
+    recordings,
+    isLoaded,
+    loadError,
+    getRecording,
+    addRecording,
+    updateRecording,
+    removeRecording,
+  };
+};
@@ -0,0 +1,38 @@
+import { getPlayableRange } from './edits';
+
+// Markers dropped while recording. A recording's `markers` is a list of
+// { id, millis, name } sorted by millis, in file time like other timings.
+
+// Pressing "previous" this close after a marker goes to the one before it,
+// like skipping back on a CD player
+const PREVIOUS_MARKER_GRACE_MS = 1500;
+
+export const createMarker = (millis) => ({
+  id: `${Math.round(millis)}-${Math.random().toString(36).slice(2, 6)}`,
+  millis: Math.max(0, Math.round(millis)),
+  name: '',
+});
+
+export const getMarkerLabel = (marker, index) => marker.name || `Marker ${index + 1}`;
+
+// Markers inside `range`, with millis relative to its start
+export const clipMarkers = (markers, range) => {
+  return (markers || [])
+    .filter(marker => marker.millis >= range.startMs && marker.millis <= range.endMs)
+    .map(marker => ({ ...marker, millis: marker.millis - range.startMs }));
+};
+
+// Markers of the part of a recording that plays
+export const getPlayableMarkers = (recording) => clipMarkers(recording.markers, getPlayableRange(recording));
+
+// Position of the marker before or after positionMillis (direction -1 or 1).
+// Going back with no earlier marker returns to the start; going forward past
+// the last marker returns null.
+export const findAdjacentMarker = (markers, positionMillis, direction) => {
+  if (direction < 0) {
+    const earlier = markers.filter(marker => marker.millis < positionMillis - PREVIOUS_MARKER_GRACE_MS);
+    return earlier.length > 0 ? earlier[earlier.length - 1].millis : 0;
+  }
+  const later = markers.find(marker => marker.millis > positionMillis + 50);
+  return later ? later.millis : null;
+};
@@ -0,0 +1,405 @@
+import * as FileSystem from 'expo-file-system';
+import { createBase64Builder } from './base64';
+import { readFileBytes } from './wav';
+
+// Minimal MP4/M4A audio demuxer and muxer. There is no native way to cut AAC
+// recordings on the device, so this reads the sample tables of the first
+// audio track and writes time ranges of it out as new single-track M4A files,
+// copying the encoded frames as-is.
+
+// ---- Reading ----
+
+const readUint32 = (bytes, offset) =>
+  ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+const readUint64 = (bytes, offset) =>
+  readUint32(bytes, offset) * 2 ** 32 + readUint32(bytes, offset + 4);
+
+const readType = (bytes, offset) =>
+  String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+// List the boxes between start and end of an in-memory buffer
+const childBoxes = (bytes, start, end) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32(bytes, offset);
+    const type = readType(bytes, offset + 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint64(bytes, offset + 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) {
+      break;
+    }
+
+    boxes.push({ type, start: offset, bodyStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (bytes, parent, type) =>
+  childBoxes(bytes, parent.bodyStart, parent.end).find(b => b.type === type);
+
+const findPath = (bytes, parent, path) => {
+  let box = parent;
+  for (const type of path) {
+    box = box && findBox(bytes, box, type);
+  }
+  return box;
+};
+
+// Walk top-level boxes on disk to find moov without reading the audio data
+const readMoov = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  let offset = 0;
+
+  while (offset + 8 <= info.size) {
+    const header = await readFileBytes(uri, offset, 16);
+    let size = readUint32(header, 0);
+    const type = readType(header, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint64(header, 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = info.size - offset;
+    }
+    if (size < headerSize) {
+      break;
+    }
+
+    if (type === 'moov') {
+      const bytes = await readFileBytes(uri, offset, size);
+      return { bytes, box: { type, start: 0, bodyStart: headerSize, end: bytes.length } };
+    }
+    offset += size;
+  }
+
+  throw new Error('MP4 file has no moov box');
+};
+
+const isAudioTrack = (bytes, trak) => {
+  const hdlr = findPath(bytes, trak, ['mdia', 'hdlr']);
+  return hdlr && readType(bytes, hdlr.bodyStart + 8) === 'soun';
+};
+
+// Parse the first audio track into per-sample offsets, sizes and start times
+export const parseMp4Audio = async (uri) => {
+  const { bytes, box: moov } = await readMoov(uri);
+
+  const trak = childBoxes(bytes, moov.bodyStart, moov.end)
+    .filter(b => b.type === 'trak')
+    .find(t => isAudioTrack(bytes, t));
+  if (!trak) {
+    throw new Error('MP4 file has no audio track');
+  }
+
+  const mdhd = findPath(bytes, trak, ['mdia', 'mdhd']);
+  const version = bytes[mdhd.bodyStart];
+  const timescale = version === 1
+    ? readUint32(bytes, mdhd.bodyStart + 20)
+    : readUint32(bytes, mdhd.bodyStart + 12);
+
+  const stbl = findPath(bytes, trak, ['mdia', 'minf', 'stbl']);
+  const stsd = findBox(bytes, stbl, 'stsd');
+  const stts = findBox(bytes, stbl, 'stts');
+  const stsc = findBox(bytes, stbl, 'stsc');
+  const stsz = findBox(bytes, stbl, 'stsz');
+  const stco = findBox(bytes, stbl, 'stco');
+  const co64 = findBox(bytes, stbl, 'co64');
+  if (!stsd || !stts || !stsc || !stsz || !(stco || co64)) {
+    throw new Error('MP4 audio track is missing sample tables');
+  }
+
+  // Sample sizes
+  const constantSize = readUint32(bytes, stsz.bodyStart + 4);
+  const sampleCount = readUint32(bytes, stsz.bodyStart + 8);
+  const sizes = new Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    sizes[i] = constantSize || readUint32(bytes, stsz.bodyStart + 12 + i * 4);
+  }
+
+  // Sample durations and start times, in the media timescale
+  const durations = new Array(sampleCount);
+  const times = new Array(sampleCount);
+  let sample = 0;
+  let time = 0;
+  const sttsCount = readUint32(bytes, stts.bodyStart + 4);
+  for (let e = 0; e < sttsCount; e++) {
+    const count = readUint32(bytes, stts.bodyStart + 8 + e * 8);
+    const delta = readUint32(bytes, stts.bodyStart + 12 + e * 8);
+    for (let i = 0; i < count && sample < sampleCount; i++, sample++) {
+      durations[sample] = delta;
+      times[sample] = time;
+      time += delta;
+    }
+  }
+
+  // Chunk offsets
+  const chunkBox = stco || co64;
+  const chunkCount = readUint32(bytes, chunkBox.bodyStart + 4);
+  const chunkOffsets = new Array(chunkCount);
+  for (let c = 0; c < chunkCount; c++) {
+    chunkOffsets[c] = stco
+      ? readUint32(bytes, chunkBox.bodyStart + 8 + c * 4)
+      : readUint64(bytes, chunkBox.bodyStart + 8 + c * 8);
+  }
+
+  // Sample offsets from the sample-to-chunk runs
+  const offsets = new Array(sampleCount);
+  const stscCount = readUint32(bytes, stsc.bodyStart + 4);
+  sample = 0;
+  for (let e = 0; e < stscCount; e++) {
+    const firstChunk = readUint32(bytes, stsc.bodyStart + 8 + e * 12) - 1;
+    const samplesPerChunk = readUint32(bytes, stsc.bodyStart + 12 + e * 12);
+    const lastChunk = e + 1 < stscCount
+      ? readUint32(bytes, stsc.bodyStart + 8 + (e + 1) * 12) - 1
+      : chunkCount;
+
+    for (let c = firstChunk; c < lastChunk; c++) {
+      let offset = chunkOffsets[c];
+      for (let i = 0; i < samplesPerChunk && sample < sampleCount; i++, sample++) {
+        offsets[sample] = offset;
+        offset += sizes[sample];
+      }
+    }
+  }
+
+  return {
+    timescale,
+    durationMillis: (time / timescale) * 1000,
+    stsd: bytes.slice(stsd.start, stsd.end),
+    sizes,
+    offsets,
+    durations,
+    times,
+  };
+};
+
+// ---- Writing ----
+
+const u32 = (value) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const u16 = (value) => [(value >>> 8) & 0xff, value & 0xff];
+const chars = (value) => Array.from(value, c => c.charCodeAt(0));
+const zeros = (count) => new Array(count).fill(0);
+
+const UNITY_MATRIX = [
+  ...u32(0x00010000), ...u32(0), ...u32(0),
+  ...u32(0), ...u32(0x00010000), ...u32(0),
+  ...u32(0), ...u32(0), ...u32(0x40000000),
+];
+
+// Box from a type and a list of byte arrays
+const box = (type, ...parts) => {
+  const body = parts.flat();
+  return [...u32(body.length + 8), ...chars(type), ...body];
+};
+
+const fullBox = (type, version, flags, ...parts) =>
+  box(type, [version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff], ...parts);
+
+// Run-length encode sample durations into stts entries
+const buildStts = (durations) => {
+  const entries = [];
+  durations.forEach(delta => {
+    const last = entries[entries.length - 1];
+    if (last && last.delta === delta) {
+      last.count++;
+    } else {
+      entries.push({ count: 1, delta });
+    }
+  });
+  return fullBox('stts', 0, 0, u32(entries.length), entries.flatMap(e => [...u32(e.count), ...u32(e.delta)]));
+};
+
+// moov for a single audio track whose samples are stored back to back in one
+// chunk starting at dataOffset
+const buildMoov = (track, sizes, durations, dataOffset) => {
+  const duration = durations.reduce((sum, d) => sum + d, 0);
+
+  const stbl = box('stbl',
+    Array.from(track.stsd),
+    buildStts(durations),
+    fullBox('stsc', 0, 0, u32(1), u32(1), u32(sizes.length), u32(1)),
+    fullBox('stsz', 0, 0, u32(0), u32(sizes.length), sizes.flatMap(u32)),
+    fullBox('stco', 0, 0, u32(1), u32(dataOffset)),
+  );
+
+  const minf = box('minf',
+    fullBox('smhd', 0, 0, u16(0), u16(0)),
+    box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+    stbl,
+  );
+
+  const mdia = box('mdia',
+    fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(duration), u16(0x55c4), u16(0)),
+    fullBox('hdlr', 0, 0, u32(0), chars('soun'), zeros(12), chars('SoundHandler'), [0]),
+    minf,
+  );
+
+  const trak = box('trak',
+    fullBox('tkhd', 0, 7, u32(0), u32(0), u32(1), u32(0), u32(duration), zeros(8),
+      u16(0), u16(0), u16(0x0100), u16(0), UNITY_MATRIX, u32(0), u32(0)),
+    mdia,
+  );
+
+  return box('moov',
+    fullBox('mvhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(duration),
+      u32(0x00010000), u16(0x0100), zeros(10), UNITY_MATRIX, zeros(24), u32(2)),
+    trak,
+  );
+};
+
+const FTYP = box('ftyp', chars('M4A '), u32(0), chars('M4A '), chars('mp42'), chars('isom'));
+
+// Index of the first sample starting at or after a time
+const sampleIndexAt = (track, millis) => {
+  const target = (millis / 1000) * track.timescale;
+  let low = 0;
+  let high = track.times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (track.times[mid] < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Write runs of samples of parsed tracks, [{ uri, track, first, last }], back
+// to back to a new M4A file. The first track's sample description is used
+// for all of them.
+const writeSampleRuns = async (selections, outUri) => {
+  const sizes = selections.flatMap(({ track, first, last }) => track.sizes.slice(first, last));
+  const durations = selections.flatMap(({ track, first, last }) => track.durations.slice(first, last));
+  const dataSize = sizes.reduce((sum, size) => sum + size, 0);
+  const { track } = selections[0];
+
+  // The moov size doesn't depend on the offset value, so measure it first
+  const moovSize = buildMoov(track, sizes, durations, 0).length;
+
+  // Pad with a free box so everything before the audio data is a multiple of
+  // 3 bytes long. The data's base64 can then be appended without re-encoding.
+  const beforeFree = FTYP.length + moovSize + 8;
+  const freeSize = 8 + ((3 - ((beforeFree + 8) % 3)) % 3);
+  const dataOffset = FTYP.length + moovSize + freeSize + 8;
+
+  const builder = createBase64Builder();
+  builder.addBytes(Uint8Array.from([
+    ...FTYP,
+    ...buildMoov(track, sizes, durations, dataOffset),
+    ...box('free', zeros(freeSize - 8)),
+    ...u32(dataSize + 8),
+    ...chars('mdat'),
+  ]));
+
+  // Audio-only recordings store samples back to back, so this is normally a
+  // single range per file. Otherwise gather each contiguous run.
+  for (const selection of selections) {
+    const runs = [];
+    for (let i = selection.first; i < selection.last; i++) {
+      const run = runs[runs.length - 1];
+      const offset = selection.track.offsets[i];
+      if (run && run.end === offset) {
+        run.end += selection.track.sizes[i];
+      } else {
+        runs.push({ start: offset, end: offset + selection.track.sizes[i] });
+      }
+    }
+    for (const run of runs) {
+      await builder.addFileRange(selection.uri, run.start, run.end - run.start);
+    }
+  }
+
+  await FileSystem.writeAsStringAsync(outUri, builder.finish(), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};
+
+// Write samples [first, last) of a parsed track to a new M4A file
+export const writeMp4Samples = (uri, track, first, last, outUri) => {
+  return writeSampleRuns([{ uri, track, first, last }], outUri);
+};
+
+// Samples [first, last) covering a time range, at least one
+const selectRange = (track, startMs, endMs) => {
+  const first = sampleIndexAt(track, startMs);
+  const last = Math.max(first + 1, sampleIndexAt(track, endMs));
+  return { first, last: Math.min(last, track.sizes.length) };
+};
+
+// Codec, channel count and sample rate from a track's sample description.
+// Tracks that agree on these can share it; the rest of it (e.g. the bitrate
+// noted in esds) may differ between recordings.
+const describeSampleEntry = (track) => Array.from(track.stsd.subarray(20, 52)).join(',');
+
+// Copy the audio between two positions of an M4A file into a new file
+export const writeMp4Segment = async (uri, track, startMs, endMs, outUri) => {
+  const { first, last } = selectRange(track, startMs, endMs);
+  await writeMp4Samples(uri, track, first, last, outUri);
+};
+
+// Join ranges of M4A files, [{ uri, track, startMs, endMs }], into one new
+// file. They must all be encoded the same way.
+export const writeJoinedMp4 = async (pieces, outUri) => {
+  const [{ track: format }] = pieces;
+  const isSameFormat = pieces.every(({ track }) => (
+    track.timescale === format.timescale && describeSampleEntry(track) === describeSampleEntry(format)
+  ));
+  if (!isSameFormat) {
+    throw new Error('M4A files with different encodings cannot be joined');
+  }
+  const selections = pieces.map(({ uri, track, startMs, endMs }) => ({ uri, track, ...selectRange(track, startMs, endMs) }));
+  await writeSampleRuns(selections, outUri);
+};
+
+// Sample rates in the order AAC numbers them
+export const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Samples per AAC frame
+const AAC_FRAME_SAMPLES = 1024;
+
+// Sample description of an AAC track, for frames that come without one
+const buildAacStsd = ({ sampleRate, channels, objectType }) => {
+  const sampleRateIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+  const audioSpecificConfig = u16((objectType << 11) | (sampleRateIndex << 7) | (channels << 3));
+  const decoderSpecificInfo = [0x05, audioSpecificConfig.length, ...audioSpecificConfig];
+  const decoderConfig = [
+    0x04, 13 + decoderSpecificInfo.length,
+    0x40, 0x15, ...zeros(3), ...u32(0), ...u32(0),
+    ...decoderSpecificInfo,
+  ];
+  const slConfig = [0x06, 1, 0x02];
+  const esDescriptor = [0x03, 3 + decoderConfig.length + slConfig.length, ...u16(1), 0, ...decoderConfig, ...slConfig];
+
+  return fullBox('stsd', 0, 0, u32(1), box('mp4a',
+    zeros(6), u16(1), zeros(8),
+    u16(channels), u16(16), u16(0), u16(0), u32(sampleRate * 0x10000),
+    fullBox('esds', 0, 0, esDescriptor),
+  ));
+};
+
+// Track, like parseMp4Audio returns, over raw AAC frames of a file that
+// aren't in an MP4 container, [{ offset, size }]
+export const buildAacTrack = ({ sampleRate, channels, objectType, frames }) => {
+  return {
+    timescale: sampleRate,
+    durationMillis: (frames.length * AAC_FRAME_SAMPLES / sampleRate) * 1000,
+    stsd: Uint8Array.from(buildAacStsd({ sampleRate, channels, objectType })),
+    sizes: frames.map(frame => frame.size),
+    offsets: frames.map(frame => frame.offset),
+    durations: frames.map(() => AAC_FRAME_SAMPLES),
+    times: frames.map((frame, i) => i * AAC_FRAME_SAMPLES),
+  };
+};
@@ -0,0 +1,151 @@
+import { Platform } from 'react-native';
+import { Audio } from 'expo-av';
+import { ADTS_EXTENSION } from './adts';
+
+// Recording quality presets. Each recording stores the format it was actually
+// made with, so playback and transcription don't have to guess.
+export const RECORDING_PRESETS = {
+  voice: {
+    label: 'Voice',
+    container: 'aac',
+    sampleRate: 22050,
+    channels: 1,
+    bitRate: 64000,
+  },
+  music: {
+    label: 'Music',
+    container: 'aac',
+    sampleRate: 48000,
+    channels: 2,
+    bitRate: 256000,
+  },
+  lossless: {
+    label: 'Lossless',
+    container: 'wav',
+    sampleRate: 44100,
+    channels: 1,
+    bitRate: null,
+  },
+};
+
+export const SAMPLE_RATE_OPTIONS = [16000, 22050, 44100, 48000];
+
+const CONTAINERS = {
+  aac: { extension: '.m4a', mimeType: 'audio/m4a' },
+  wav: { extension: '.wav', mimeType: 'audio/wav' },
+};
+
+// Android's MediaRecorder can't write linear PCM, so lossless falls back to
+// the music preset there
+export const isPresetSupported = (presetId) => {
+  return !(presetId === 'lossless' && Platform.OS === 'android');
+};
+
+// Resolve settings into the format that will actually be recorded
+export const resolveRecordingFormat = (settings) => {
+  let preset = settings.recordingPreset in RECORDING_PRESETS ? settings.recordingPreset : 'voice';
+  if (!isPresetSupported(preset)) {
+    console.log(`Preset "${preset}" is not supported on ${Platform.OS}, using music instead`);
+    preset = 'music';
+  }
+
+  const base = RECORDING_PRESETS[preset];
+  const sampleRate = settings.recordingSampleRate || base.sampleRate;
+  const channels = settings.recordingChannels || base.channels;
+  // Keep AAC bitrate per channel constant when the channel count is overridden
+  const bitRate = base.bitRate ? Math.round((base.bitRate / base.channels) * channels) : null;
+
+  return {
+    preset,
+    container: base.container,
+    sampleRate,
+    channels,
+    bitRate,
+    ...CONTAINERS[base.container],
+  };
+};
+
+// Build expo-av recording options for a resolved format
+export const buildRecordingOptions = (format) => {
+  if (format.container === 'wav') {
+    return {
+      isMeteringEnabled: true,
+      android: {
+        extension: format.extension,
+        outputFormat: Audio.AndroidOutputFormat.DEFAULT,
+        audioEncoder: Audio.AndroidAudioEncoder.DEFAULT,
+        sampleRate: format.sampleRate,
+        numberOfChannels: format.channels,
+      },
+      ios: {
+        extension: format.extension,
+        outputFormat: Audio.IOSOutputFormat.LINEARPCM,
+        audioQuality: Audio.IOSAudioQuality.MAX,
+        sampleRate: format.sampleRate,
+        numberOfChannels: format.channels,
+        bitRate: format.sampleRate * format.channels * 16,
+        linearPCMBitDepth: 16,
+        linearPCMIsBigEndian: false,
+        linearPCMIsFloat: false,
+      },
+      web: {
+        mimeType: 'audio/webm',
+      },
+    };
+  }
+
+  // AAC is recorded as ADTS, which can still be read after a crash, and
+  // stored as M4A once the take is saved (see src/adts.js)
+  return {
+    isMeteringEnabled: true,
+    android: {
+      extension: ADTS_EXTENSION,
+      outputFormat: Audio.AndroidOutputFormat.AAC_ADTS,
+      audioEncoder: Audio.AndroidAudioEncoder.AAC,
+      sampleRate: format.sampleRate,
+      numberOfChannels: format.channels,
+      bitRate: format.bitRate,
+    },
+    // The file type follows the extension on iOS
+    ios: {
+      extension: ADTS_EXTENSION,
+      outputFormat: Audio.IOSOutputFormat.MPEG4AAC,
+      audioQuality: Audio.IOSAudioQuality.HIGH,
+      sampleRate: format.sampleRate,
+      numberOfChannels: format.channels,
+      bitRate: format.bitRate,
+      linearPCMBitDepth: 16,
+      linearPCMIsBigEndian: false,
+      linearPCMIsFloat: false,
+    },
+    web: {
+      mimeType: 'audio/webm',
+      bitsPerSecond: format.bitRate,
+    },
+  };
+};
+
+// Format recorded by expo-av's HIGH_QUALITY preset, used when custom options fail
+export const FALLBACK_RECORDING_FORMAT = {
+  preset: 'fallback',
+  container: 'aac',
+  sampleRate: 44100,
+  channels: 2,
+  bitRate: 128000,
+  ...CONTAINERS.aac,
+};
+
+export const getMimeTypeForExtension = (extension) => {
+  const container = Object.values(CONTAINERS).find(c => c.extension === extension);
+  return container ? container.mimeType : CONTAINERS.aac.mimeType;
+};
+
+// MIME type and file name for uploading a recording. Entries made before
+// formats were stored are AAC in an .m4a container.
+export const getRecordingMimeType = (recording) => {
+  return recording.format?.mimeType || CONTAINERS.aac.mimeType;
+};
+
+export const getRecordingFileName = (recording) => {
+  return `recording${recording.format?.extension || CONTAINERS.aac.extension}`;
+};
@@ -0,0 +1,84 @@
+import { Platform } from 'react-native';
+
+// Android stops the microphone of apps in the background unless a foreground
+// service of the microphone type is running, shown as an ongoing notification
+// (see plugins/withRecordingService.js). iOS keeps recording through the
+// `audio` background mode instead.
+
+const CHANNEL_ID = 'recording';
+
+// Notifee is a native module, so it's missing from Expo Go; recording then
+// only carries on while the app is in the foreground
+let notifeeModule;
+const getNotifee = () => {
+  if (notifeeModule === undefined) {
+    try {
+      notifeeModule = require('@notifee/react-native');
+      // The service lives until it is stopped; there's no work to run in it
+      notifeeModule.default.registerForegroundService(() => new Promise(() => {}));
+    } catch (error) {
+      console.log('Recording service not available:', error.message);
+      notifeeModule = null;
+    }
+  }
+  return notifeeModule;
+};
+
+// The service start in progress. Stopping waits for it, or a take stopped
+// right away would leave the service running without a recording.
+let startPromise = null;
+
+const showServiceNotification = async (notifee) => {
+  try {
+    // The notification is how the service shows; Android 13 asks for it
+    await notifee.default.requestPermission();
+    const channelId = await notifee.default.createChannel({
+      id: CHANNEL_ID,
+      name: 'Recording',
+      importance: notifee.AndroidImportance.LOW,
+    });
+    await notifee.default.displayNotification({
+      title: 'Recording',
+      body: 'TP-7 keeps recording while the app is in the background',
+      android: {
+        channelId,
+        asForegroundService: true,
+        foregroundServiceTypes: [notifee.AndroidForegroundServiceType.FOREGROUND_SERVICE_TYPE_MICROPHONE],
+        ongoing: true,
+        pressAction: { id: 'default' },
+      },
+    });
+    console.log('Recording service started');
+  } catch (error) {
+    console.error('Failed to start recording service:', error);
+  }
+};
+
+// Must be called while the app is in the foreground, i.e. when a take starts
+export const startRecordingService = () => {
+  const notifee = Platform.OS === 'android' ? getNotifee() : null;
+  if (!notifee) {
+    return Promise.resolve();
+  }
+  startPromise = showServiceNotification(notifee);
+  return startPromise;
+};
+
+export const stopRecordingService = async () => {
+  const notifee = Platform.OS === 'android' ? getNotifee() : null;
+  if (!notifee) {
+    return;
+  }
+  const starting = startPromise;
+  await starting;
+  // A new take started the service again meanwhile
+  if (startPromise !== starting) {
+    return;
+  }
+  startPromise = null;
+  try {
+    await notifee.default.stopForegroundService();
+  } catch (error) {
+    console.error('Failed to stop recording service:', error);
+  }
+};
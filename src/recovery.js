@@ -0,0 +1,117 @@
+import * as FileSystem from 'expo-file-system';
+import { Audio } from 'expo-av';
+import { LIBRARY_DIR, importRecordingFile } from './library';
+import { parseWavHeader, writeWavSegment } from './wav';
+import { isAdtsFile, parseAdtsAudio } from './adts';
+
+// Crash recovery for takes in progress. Every take is written to a journal
+// when recording starts and removed once it has been saved to the library, so
+// a take still in the journal at launch was cut off by a crash or the app
+// being killed. Its partial file is still in the recorder's cache directory.
+
+const JOURNAL_URI = `${FileSystem.documentDirectory}recording-journal.json`;
+const JOURNAL_VERSION = 1;
+
+// Journal writes run one at a time so they can't overtake each other
+let writeQueue = Promise.resolve();
+
+export const loadJournal = async () => {
+  const info = await FileSystem.getInfoAsync(JOURNAL_URI);
+  if (!info.exists) {
+    return [];
+  }
+  try {
+    const stored = JSON.parse(await FileSystem.readAsStringAsync(JOURNAL_URI));
+    return stored.version === JOURNAL_VERSION ? stored.takes : [];
+  } catch (error) {
+    console.error('Failed to read recording journal:', error);
+    return [];
+  }
+};
+
+const updateJournal = (change) => {
+  writeQueue = writeQueue
+    .then(async () => {
+      const takes = change(await loadJournal());
+      await FileSystem.writeAsStringAsync(JOURNAL_URI, JSON.stringify({ version: JOURNAL_VERSION, takes }));
+    })
+    .catch(error => console.error('Failed to update recording journal:', error));
+  return writeQueue;
+};
+
+// take: { uri, startedAt, format, markers }
+export const journalTake = (take) => {
+  return updateJournal(takes => [...takes.filter(t => t.uri !== take.uri), take]);
+};
+
+export const updateJournaledTake = (uri, patch) => {
+  return updateJournal(takes => takes.map(t => (t.uri === uri ? { ...t, ...patch } : t)));
+};
+
+export const removeJournaledTake = (uri) => {
+  return updateJournal(takes => takes.filter(t => t.uri !== uri));
+};
+
+const isWavTake = (take) => take.format?.container === 'wav' || /\.wav$/i.test(take.uri);
+
+// Length in millis of the audio an unfinished take can be recovered with, or
+// null if its file is missing or can't be played. A WAV file cut off
+// mid-write only has a stale header, which recoverTakeFile rewrites, and an
+// ADTS file is readable up to its last whole frame. An m4a file (from the
+// fallback preset or an older build) won't load when it was cut off before
+// its index, the moov atom, was written at the end.
+export const inspectUnfinishedTake = async (take) => {
+  const info = await FileSystem.getInfoAsync(take.uri);
+  if (!info.exists || !info.size) {
+    return null;
+  }
+
+  if (isWavTake(take)) {
+    try {
+      const header = await parseWavHeader(take.uri);
+      return header.durationMillis > 0 ? header.durationMillis : null;
+    } catch (error) {
+      console.log('Unfinished WAV take is not readable:', error.message);
+      return null;
+    }
+  }
+
+  if (isAdtsFile(take.uri)) {
+    try {
+      return (await parseAdtsAudio(take.uri)).durationMillis;
+    } catch (error) {
+      console.log('Unfinished ADTS take is not readable:', error.message);
+      return null;
+    }
+  }
+
+  try {
+    const { sound, status } = await Audio.Sound.createAsync({ uri: take.uri }, { shouldPlay: false });
+    await sound.unloadAsync();
+    return status.isLoaded && status.durationMillis > 0 ? status.durationMillis : null;
+  } catch (error) {
+    console.log('Unfinished take is not playable:', error.message);
+    return null;
+  }
+};
+
+// Move an unfinished take into the library as recording `id`; an ADTS take
+// is converted to M4A on the way. Returns the file name relative to
+// LIBRARY_DIR.
+export const recoverTakeFile = async (take, id) => {
+  if (!isWavTake(take)) {
+    return importRecordingFile(take.uri, id);
+  }
+
+  const fileName = `recording-${id}.wav`;
+  const header = await parseWavHeader(take.uri);
+  await writeWavSegment(take.uri, header, 0, header.durationMillis, `${LIBRARY_DIR}${fileName}`);
+  await FileSystem.deleteAsync(take.uri, { idempotent: true });
+  console.log('Rewrote unfinished WAV take into library:', fileName);
+  return fileName;
+};
+
+export const discardTake = async (take) => {
+  await FileSystem.deleteAsync(take.uri, { idempotent: true });
+  await removeJournaledTake(take.uri);
+};
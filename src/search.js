@@ -0,0 +1,233 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as FileSystem from 'expo-file-system';
+import { LIBRARY_DIR } from './library';
+
+// Full-text search over transcripts, titles and tags. An inverted index maps
+// each word to the recordings containing it. It is updated incrementally as
+// recordings change and saved next to the library index, so launching with
+// thousands of recordings doesn't re-tokenize every transcript.
+const INDEX_URI = `${LIBRARY_DIR}search-index.json`;
+const INDEX_VERSION = 1;
+const SAVE_DELAY_MS = 2000;
+
+// Split text into lowercase words. Apostrophes are dropped so "don't" and
+// "dont" match.
+export const tokenize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[\s.,!?;:"()[\]{}<>/\\|@#$%^&*+=~`_-]+/)
+    .filter(Boolean);
+};
+
+// Query terms, each matched as a word prefix so results update while typing
+export const getQueryTerms = (query) => [...new Set(tokenize(query))];
+
+export const matchesTerms = (word, terms) => {
+  return tokenize(word).some(token => terms.some(term => token.startsWith(term)));
+};
+
+// Split text into runs, marking the words that match any of the terms
+export const highlightText = (text, terms) => {
+  return (text || '').split(/(\s+)/).filter(Boolean).map(part => ({
+    text: part,
+    isMatch: terms.length > 0 && matchesTerms(part, terms),
+  }));
+};
+
+// Everything searchable about a recording
+const getSearchText = (recording) => {
+  // Placeholder text isn't indexed; an edited transcript stays during re-transcription
+  if (recording.isTranscribing && !recording.transcriptEdited) {
+    return [recording.title, ...(recording.tags || [])].join(' ');
+  }
+  return [recording.title, ...(recording.tags || []), recording.transcription, recording.translation].join(' ');
+};
+
+// Cheap string hash, used to notice when a recording's text changed
+const hashText = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash >>> 0}`;
+};
+
+export const createSearchIndex = (entries = []) => {
+  // id -> { hash, tokens }, and word -> Set of ids
+  const documents = new Map();
+  const postings = new Map();
+  // Sorted words for prefix lookups, rebuilt lazily after changes
+  let sortedWords = null;
+
+  const addDocument = (id, hash, tokens) => {
+    documents.set(id, { hash, tokens });
+    tokens.forEach(token => {
+      if (!postings.has(token)) {
+        postings.set(token, new Set());
+        sortedWords = null;
+      }
+      postings.get(token).add(id);
+    });
+  };
+
+  const removeDocument = (id) => {
+    const document = documents.get(id);
+    if (!document) {
+      return;
+    }
+    document.tokens.forEach(token => {
+      const ids = postings.get(token);
+      ids.delete(id);
+      if (ids.size === 0) {
+        postings.delete(token);
+        sortedWords = null;
+      }
+    });
+    documents.delete(id);
+  };
+
+  entries.forEach(({ id, hash, tokens }) => addDocument(id, hash, tokens));
+
+  // Entry objects last indexed, by id. The library replaces an entry on every
+  // change, so one that is still the same object needn't be looked at again.
+  const indexedEntries = new Map();
+
+  // Bring the index in line with the recordings list. Only recordings whose
+  // text changed are re-tokenized. Returns whether anything changed.
+  const update = (recordings) => {
+    let changed = false;
+    const seen = new Set();
+
+    recordings.forEach(recording => {
+      seen.add(recording.id);
+      if (indexedEntries.get(recording.id) === recording) {
+        return;
+      }
+      indexedEntries.set(recording.id, recording);
+      const text = getSearchText(recording);
+      const hash = hashText(text);
+      if (documents.get(recording.id)?.hash === hash) {
+        return;
+      }
+      removeDocument(recording.id);
+      addDocument(recording.id, hash, [...new Set(tokenize(text))]);
+      changed = true;
+    });
+
+    [...documents.keys()].forEach(id => {
+      if (!seen.has(id)) {
+        removeDocument(id);
+        changed = true;
+      }
+    });
+    [...indexedEntries.keys()].forEach(id => {
+      if (!seen.has(id)) {
+        indexedEntries.delete(id);
+      }
+    });
+
+    return changed;
+  };
+
+  // Ids of recordings containing a word starting with `prefix`
+  const lookupPrefix = (prefix) => {
+    if (!sortedWords) {
+      sortedWords = [...postings.keys()].sort();
+    }
+
+    // Binary search for the first word >= prefix, then walk the matches
+    let low = 0;
+    let high = sortedWords.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedWords[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const ids = new Set();
+    for (let i = low; i < sortedWords.length && sortedWords[i].startsWith(prefix); i++) {
+      postings.get(sortedWords[i]).forEach(id => ids.add(id));
+    }
+    return ids;
+  };
+
+  // Ids of recordings matching every term
+  const search = (terms) => {
+    let result = null;
+    for (const term of terms) {
+      const ids = lookupPrefix(term);
+      result = result ? new Set([...result].filter(id => ids.has(id))) : ids;
+      if (result.size === 0) {
+        break;
+      }
+    }
+    return result || new Set();
+  };
+
+  const toJSON = () => ({
+    version: INDEX_VERSION,
+    entries: [...documents.entries()].map(([id, { hash, tokens }]) => ({ id, hash, tokens })),
+  });
+
+  return { update, search, toJSON };
+};
+
+// A stored index that can't be read is rebuilt from the library
+const loadSearchIndex = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(INDEX_URI);
+    if (info.exists) {
+      const stored = JSON.parse(await FileSystem.readAsStringAsync(INDEX_URI));
+      if (stored.version === INDEX_VERSION) {
+        return createSearchIndex(stored.entries);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load search index, rebuilding:', error);
+  }
+  return createSearchIndex();
+};
+
+// React hook keeping a search index in step with the library. Returns a
+// function mapping a query to the matching recording ids, or null for an
+// empty query.
+export const useSearchIndex = (recordings, isLibraryLoaded) => {
+  const indexRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    loadSearchIndex().then(index => {
+      indexRef.current = index;
+      setVersion(v => v + 1);
+    });
+    return () => clearTimeout(saveTimerRef.current);
+  }, []);
+
+  useEffect(() => {
+    const index = indexRef.current;
+    if (!index || !isLibraryLoaded || !index.update(recordings)) {
+      return;
+    }
+    setVersion(v => v + 1);
+
+    // Changes often come in bursts, so save once they settle
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      FileSystem.writeAsStringAsync(INDEX_URI, JSON.stringify(index.toJSON()))
+        .catch(error => console.error('Failed to save search index:', error));
+    }, SAVE_DELAY_MS);
+  }, [recordings, isLibraryLoaded, version]);
+
+  return useCallback((query) => {
+    const terms = getQueryTerms(query);
+    if (terms.length === 0 || !indexRef.current) {
+      return null;
+    }
+    return indexRef.current.search(terms);
+  }, [version]);
+};
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as FileSystem from 'expo-file-system';
+
+// User settings, persisted as JSON in the documents directory
+const SETTINGS_URI = `${FileSystem.documentDirectory}settings.json`;
+
+export const DEFAULT_SETTINGS = {
+  // Recording quality (see src/recordingPresets.js). null keeps the preset's value.
+  recordingPreset: 'voice',
+  recordingSampleRate: null,
+  recordingChannels: null,
+  // Show tenths of a second on the display's counter while recording
+  displayTenths: false,
+
+  // Voice activation (see src/voiceActivation.js): keep audio from when
+  // metering reaches voxThresholdDb, cut silences longer than voxSilenceMs
+  voxEnabled: false,
+  voxThresholdDb: -40,
+  voxSilenceMs: 5000,
+
+  // Transcription backend (see src/transcription.js). Blank values use the
+  // provider's defaults.
+  transcriptionProvider: 'groq',
+  transcriptionBaseUrl: '',
+  transcriptionModel: '',
+  transcriptionApiKey: '',
+  // ISO-639-1 code or 'auto' (see src/languages.js); recordings can override both
+  transcriptionLanguage: 'en',
+  translateToEnglish: false,
+
+  // Last choices in the export sheet (see src/exporter.js)
+  exportFormat: 'txt',
+  exportIncludeAudio: true,
+};
+
+export const loadSettings = async () => {
+  const info = await FileSystem.getInfoAsync(SETTINGS_URI);
+  if (!info.exists) {
+    return DEFAULT_SETTINGS;
+  }
+  const stored = JSON.parse(await FileSystem.readAsStringAsync(SETTINGS_URI));
+  // New settings pick up their defaults when loading an older file
+  return { ...DEFAULT_SETTINGS, ...stored };
+};
+
+export const saveSettings = async (settings) => {
+  await FileSystem.writeAsStringAsync(SETTINGS_URI, JSON.stringify(settings));
+};
+
+// React hook that loads settings on mount and saves every change
+export const useSettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const settingsRef = useRef(settings);
+
+  useEffect(() => {
+    loadSettings()
+      .then(setSettings)
+      .catch(error => console.error('Failed to load settings:', error))
+      .finally(() => setIsLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    if (isLoaded) {
+      saveSettings(settings).catch(error => console.error('Failed to save settings:', error));
+    }
+  }, [settings, isLoaded]);
+
+  const updateSettings = useCallback((patch) => {
+    setSettings(prev => ({ ...prev, ...patch }));
+  }, []);
+
+  // Latest settings for async flows that outlive the render they started in
+  const getSettings = useCallback(() => settingsRef.current, []);
+
+  return { settings, isLoaded, updateSettings, getSettings };
+};
@@ -0,0 +1,89 @@
+import { saveSidecar, loadSidecar } from './library';
+
+// Revision history of a recording's transcript, kept in a sidecar as
+// { current, revisions: [{ text, source, createdAt, timings }] }. `source` is
+// 'machine' for transcription results and 'edit' for the user's changes;
+// `timings` holds the segment and word timings of machine revisions.
+const SIDECAR = 'transcript-history';
+
+// Oldest revisions beyond this are dropped, except the original transcript
+const MAX_REVISIONS = 20;
+
+// Recordings transcribed before history was kept start with their current
+// text as the original machine revision
+const seedHistory = async (recording) => {
+  if (recording.isTranscribing || recording.transcriptionFailed || !recording.transcription) {
+    return { current: -1, revisions: [] };
+  }
+
+  const timings = recording.hasTranscriptTimings
+    ? await loadSidecar(recording.id, 'transcript').catch(() => null)
+    : null;
+
+  return {
+    current: 0,
+    revisions: [{
+      text: recording.transcription,
+      source: recording.transcriptEdited ? 'edit' : 'machine',
+      createdAt: recording.createdAt,
+      timings,
+    }],
+  };
+};
+
+export const loadTranscriptHistory = async (recording) => {
+  const history = await loadSidecar(recording.id, SIDECAR);
+  return history || seedHistory(recording);
+};
+
+// Drop the oldest revisions that are neither the original nor current
+const prune = (history) => {
+  const revisions = [...history.revisions];
+  let current = history.current;
+
+  while (revisions.length > MAX_REVISIONS) {
+    const index = current === 1 ? 2 : 1;
+    revisions.splice(index, 1);
+    if (current > index) {
+      current--;
+    }
+  }
+
+  return { current, revisions };
+};
+
+// Append a revision, optionally making it the current one
+export const addTranscriptRevision = async (recording, revision, makeCurrent) => {
+  const history = await loadTranscriptHistory(recording);
+  const revisions = [...history.revisions, { createdAt: Date.now(), timings: null, ...revision }];
+  const updated = prune({
+    current: makeCurrent ? revisions.length - 1 : history.current,
+    revisions,
+  });
+
+  await saveSidecar(recording.id, SIDECAR, updated);
+  return updated;
+};
+
+export const setCurrentRevision = async (recording, index) => {
+  const history = await loadTranscriptHistory(recording);
+  if (!history.revisions[index]) {
+    throw new Error(`No transcript revision ${index}`);
+  }
+
+  const updated = { ...history, current: index };
+  await saveSidecar(recording.id, SIDECAR, updated);
+  return updated;
+};
+
+// Make sure the transcript a recording shows now is in its history before
+// anything replaces it
+export const ensureTranscriptHistory = async (recording) => {
+  const stored = await loadSidecar(recording.id, SIDECAR);
+  if (!stored) {
+    const seeded = await seedHistory(recording);
+    if (seeded.revisions.length > 0) {
+      await saveSidecar(recording.id, SIDECAR, seeded);
+    }
+  }
+};
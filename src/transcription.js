@@ -0,0 +1,210 @@
+import axios from 'axios';
+import Constants from 'expo-constants';
+import * as FileSystem from 'expo-file-system';
+import { AUTO_LANGUAGE, normalizeLanguage } from './languages';
+
+// Transcription providers. Every provider implements
+//   transcribe({ uri, mimeType, fileName }, config) => Promise<{ text, segments, words, language }>
+//   translate({ uri, mimeType, fileName }, config) => Promise<{ text, segments, words, language }>
+// where config is the resolved { baseUrl, model, apiKey, language } from
+// settings, segments is a list of { start, end, text } and words a list of
+// { start, end, word }, both in seconds. Either is null if the server didn't
+// return those timings. language is the spoken language the server detected,
+// if it reported one. translate returns English text.
+
+// Time for the server to answer, plus time for the upload at a slow mobile
+// uplink. A fixed timeout would cut off large uploads on every retry.
+const REQUEST_TIMEOUT_MS = 30000;
+const MIN_UPLOAD_BYTES_PER_SECOND = 64 * 1024;
+
+const getRequestTimeout = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  const uploadMs = info.exists ? Math.ceil((info.size / MIN_UPLOAD_BYTES_PER_SECOND) * 1000) : 0;
+  return REQUEST_TIMEOUT_MS + uploadMs;
+};
+
+// Build-time Groq key from app.config.js, used when no key is set in settings
+const BUILD_GROQ_API_KEY = Constants.expoConfig?.extra?.groqApiKey || '';
+
+// POST an audio file to {baseUrl}/{path} of an OpenAI-style audio API and
+// read its verbose_json response
+const postAudio = async (path, audio, config, fields) => {
+  const formData = new FormData();
+
+  // Add the audio file
+  formData.append('file', {
+    uri: audio.uri,
+    type: audio.mimeType,
+    name: audio.fileName,
+  });
+
+  // Add required parameters
+  formData.append('model', config.model);
+  formData.append('response_format', 'verbose_json');
+  formData.append('temperature', '0.0'); // More focused transcription
+  fields.forEach(([name, value]) => formData.append(name, value));
+
+  const headers = { 'Content-Type': 'multipart/form-data' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const endpoint = `${config.baseUrl.replace(/\/+$/, '')}/${path}`;
+  console.log('Sending request to:', endpoint);
+  console.log('Model:', config.model);
+
+  const response = await axios.post(endpoint, formData, {
+    headers,
+    timeout: await getRequestTimeout(audio.uri),
+  });
+
+  console.log('Response status:', response.status);
+
+  const segments = Array.isArray(response.data.segments)
+    ? response.data.segments.map(({ start, end, text }) => ({ start, end, text }))
+    : null;
+  const words = Array.isArray(response.data.words)
+    ? response.data.words.map(({ start, end, word }) => ({ start, end, word: word.trim() }))
+    : null;
+  return {
+    text: response.data.text || '',
+    segments,
+    words,
+    language: normalizeLanguage(response.data.language),
+  };
+};
+
+// Any server implementing OpenAI's POST {baseUrl}/audio/transcriptions and
+// /audio/translations, including Groq and self-hosted whisper servers
+const createOpenAICompatibleProvider = ({ label, defaultBaseUrl, defaultModel, requiresKey, defaultApiKey = '' }) => ({
+  label,
+  defaultBaseUrl,
+  defaultModel,
+  requiresKey,
+  defaultApiKey,
+
+  transcribe: (audio, config) => {
+    const fields = [
+      ['timestamp_granularities[]', 'segment'],
+      ['timestamp_granularities[]', 'word'],
+    ];
+    // Without a language the server detects it
+    if (config.language) {
+      fields.push(['language', config.language]);
+    }
+    return postAudio('audio/transcriptions', audio, config, fields);
+  },
+
+  // Translations only come with segment timings
+  translate: (audio, config) => postAudio('audio/translations', audio, config, []),
+});
+
+export const TRANSCRIPTION_PROVIDERS = {
+  groq: createOpenAICompatibleProvider({
+    label: 'Groq',
+    defaultBaseUrl: 'https://api.groq.com/openai/v1',
+    defaultModel: 'whisper-large-v3',
+    requiresKey: true,
+    defaultApiKey: BUILD_GROQ_API_KEY,
+  }),
+  openai: createOpenAICompatibleProvider({
+    label: 'OpenAI-compatible',
+    defaultBaseUrl: '',
+    defaultModel: 'whisper-1',
+    requiresKey: false,
+  }),
+  none: {
+    label: 'None',
+    transcribe: null,
+    translate: null,
+  },
+};
+
+// Resolve the active provider and its config from settings, falling back to
+// provider defaults for anything left blank. A recording can override the
+// language and whether it is translated to English.
+export const getTranscriptionConfig = (settings, recording = null) => {
+  const providerId = settings.transcriptionProvider in TRANSCRIPTION_PROVIDERS
+    ? settings.transcriptionProvider
+    : 'groq';
+  const provider = TRANSCRIPTION_PROVIDERS[providerId];
+  const language = recording?.language || settings.transcriptionLanguage || AUTO_LANGUAGE;
+
+  return {
+    providerId,
+    provider,
+    baseUrl: settings.transcriptionBaseUrl || provider.defaultBaseUrl || '',
+    model: settings.transcriptionModel || provider.defaultModel || '',
+    apiKey: settings.transcriptionApiKey || provider.defaultApiKey || '',
+    language: language === AUTO_LANGUAGE ? null : language,
+    translate: recording?.translate ?? settings.translateToEnglish,
+  };
+};
+
+// Reason transcription can't run with this config, or null if it can
+export const getConfigProblem = (config) => {
+  if (!config.provider.transcribe) {
+    return 'Transcription is turned off';
+  }
+  if (!config.baseUrl) {
+    return `${config.provider.label} server URL not configured`;
+  }
+  if (config.provider.requiresKey && (!config.apiKey || config.apiKey === 'your-groq-api-key-here')) {
+    return `${config.provider.label} API key not configured`;
+  }
+  return null;
+};
+
+// Turn an axios error into a message for the recording and the alert
+export const describeTranscriptionError = (error, config) => {
+  if (error.response) {
+    const status = error.response.status;
+    const apiMessage = error.response.data?.error?.message || 'Unknown API error';
+
+    switch (status) {
+      case 401:
+        return `Invalid ${config.provider.label} API key`;
+      case 413:
+        return 'Audio file too large (max 25MB)';
+      case 429:
+        return 'API rate limit exceeded';
+      case 400:
+        return `Bad request: ${apiMessage}`;
+      default:
+        return `API Error (${status}): ${apiMessage}`;
+    }
+  }
+  if (error.request) {
+    return 'Network error - check internet connection';
+  }
+  return error.message || 'Failed to transcribe audio';
+};
+
+// True when a request was sent but never got a response, e.g. while offline
+export const isNetworkError = (error) => !!error.request && !error.response;
+
+// Rate limits, server errors, timeouts and network failures are worth
+// retrying; anything else (bad key, bad request) will fail the same way again
+export const isRetryableError = (error) => {
+  if (!error.response) {
+    return isNetworkError(error);
+  }
+  const status = error.response.status;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+// Delay requested by the server's Retry-After header, in milliseconds
+export const getRetryAfterMs = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
@@ -0,0 +1,206 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as FileSystem from 'expo-file-system';
+import NetInfo from '@react-native-community/netinfo';
+import { isRetryableError, isNetworkError, getRetryAfterMs } from './transcription';
+
+// Durable transcription job queue. Jobs are persisted so they survive
+// restarts, run a few at a time, back off exponentially on retryable errors
+// and wait for the network to come back while offline.
+
+const QUEUE_URI = `${FileSystem.documentDirectory}transcription-queue.json`;
+const QUEUE_VERSION = 1;
+
+const MAX_CONCURRENT_JOBS = 2;
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// 5s, 10s, 20s ... capped, with +/-20% jitter so jobs don't retry in lockstep
+const backoffDelay = (attempts) => {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const loadJobs = async () => {
+  const info = await FileSystem.getInfoAsync(QUEUE_URI);
+  if (!info.exists) {
+    return [];
+  }
+  const stored = JSON.parse(await FileSystem.readAsStringAsync(QUEUE_URI));
+  return stored.version === QUEUE_VERSION ? stored.jobs : [];
+};
+
+const saveJobs = async (jobs) => {
+  await FileSystem.writeAsStringAsync(QUEUE_URI, JSON.stringify({ version: QUEUE_VERSION, jobs }));
+};
+
+// runJob(job) transcribes job.recordingId and throws on failure.
+// onJobFailed(job, error) is called once a job is given up on.
+// Nothing runs until `enabled` is true, so callers can wait for their own
+// state (library, settings) to load first.
+export const useTranscriptionQueue = ({ runJob, onJobFailed, enabled }) => {
+  const [jobs, setJobs] = useState([]);
+  const [runningIds, setRunningIds] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  const jobsRef = useRef([]);
+  const runningRef = useRef(new Set());
+  const timerRef = useRef(null);
+  const writeQueue = useRef(Promise.resolve());
+  const stateRef = useRef({});
+  stateRef.current = { runJob, onJobFailed, enabled, isOnline, isLoaded };
+
+  const commit = useCallback((next) => {
+    jobsRef.current = next;
+    setJobs(next);
+    writeQueue.current = writeQueue.current
+      .then(() => saveJobs(next))
+      .catch(error => console.error('Failed to save transcription queue:', error));
+  }, []);
+
+  const updateJob = useCallback((jobId, changes) => {
+    commit(jobsRef.current.map(j => (j.id === jobId ? { ...j, ...changes } : j)));
+  }, [commit]);
+
+  const removeJob = useCallback((jobId) => {
+    commit(jobsRef.current.filter(j => j.id !== jobId));
+  }, [commit]);
+
+  const setRunning = useCallback((jobId, isRunning) => {
+    if (isRunning) {
+      runningRef.current.add(jobId);
+    } else {
+      runningRef.current.delete(jobId);
+    }
+    setRunningIds([...runningRef.current]);
+  }, []);
+
+  const pumpRef = useRef(null);
+
+  const startJob = useCallback(async (job) => {
+    setRunning(job.id, true);
+    try {
+      await stateRef.current.runJob(job);
+      removeJob(job.id);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      if (isRetryableError(error) && attempts < MAX_ATTEMPTS) {
+        const delay = getRetryAfterMs(error) ?? backoffDelay(attempts);
+        console.log(`Transcription job ${job.id} failed, retrying in ${delay}ms`);
+        updateJob(job.id, {
+          attempts,
+          nextAttemptAt: Date.now() + delay,
+          lastErrorWasNetwork: isNetworkError(error),
+        });
+      } else {
+        console.log(`Giving up on transcription job ${job.id} after ${attempts} attempts`);
+        removeJob(job.id);
+        stateRef.current.onJobFailed(job, error);
+      }
+    } finally {
+      setRunning(job.id, false);
+      pumpRef.current();
+    }
+  }, [removeJob, updateJob, setRunning]);
+
+  // Start as many due jobs as the concurrency limit allows, then schedule a
+  // wake-up for the next job that is backing off
+  const pump = useCallback(() => {
+    const { enabled: isEnabled, isOnline: online, isLoaded: loaded } = stateRef.current;
+    clearTimeout(timerRef.current);
+    if (!isEnabled || !online || !loaded) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const job of jobsRef.current) {
+      if (runningRef.current.size >= MAX_CONCURRENT_JOBS) {
+        break;
+      }
+      if (!runningRef.current.has(job.id) && job.nextAttemptAt <= now) {
+        startJob(job);
+      }
+    }
+
+    const waiting = jobsRef.current.filter(j => !runningRef.current.has(j.id));
+    if (waiting.length > 0 && runningRef.current.size < MAX_CONCURRENT_JOBS) {
+      const nextAt = Math.min(...waiting.map(j => j.nextAttemptAt));
+      timerRef.current = setTimeout(pump, Math.max(0, nextAt - now));
+    }
+  }, [startJob]);
+  pumpRef.current = pump;
+
+  useEffect(() => {
+    loadJobs()
+      .then(loaded => {
+        console.log('Loaded transcription queue with', loaded.length, 'jobs');
+        jobsRef.current = loaded;
+        setJobs(loaded);
+      })
+      .catch(error => console.error('Failed to load transcription queue:', error))
+      .finally(() => setIsLoaded(true));
+
+    return () => clearTimeout(timerRef.current);
+  }, []);
+
+  // Pause while offline. When the network returns, jobs that failed only
+  // because of it are retried straight away instead of waiting out the backoff.
+  useEffect(() => {
+    return NetInfo.addEventListener(state => {
+      const online = state.isConnected !== false;
+      if (online && !stateRef.current.isOnline) {
+        console.log('Network is back, resuming transcription queue');
+        commit(jobsRef.current.map(j => (j.lastErrorWasNetwork ? { ...j, nextAttemptAt: 0 } : j)));
+      }
+      setIsOnline(online);
+    });
+  }, [commit]);
+
+  useEffect(() => {
+    pump();
+  }, [enabled, isOnline, isLoaded, pump]);
+
+  // Queue a recording for transcription, or make its pending job due now
+  const enqueue = useCallback((recordingId) => {
+    const existing = jobsRef.current.find(j => j.recordingId === recordingId);
+    if (existing) {
+      if (!runningRef.current.has(existing.id)) {
+        updateJob(existing.id, { attempts: 0, nextAttemptAt: 0 });
+      }
+    } else {
+      commit([
+        ...jobsRef.current,
+        { id: `${recordingId}-${Date.now()}`, recordingId, attempts: 0, nextAttemptAt: 0 },
+      ]);
+    }
+    pumpRef.current();
+  }, [commit, updateJob]);
+
+  // Drop any queued job for a recording
+  const cancel = useCallback((recordingId) => {
+    commit(jobsRef.current.filter(j => j.recordingId !== recordingId));
+  }, [commit]);
+
+  const hasJob = useCallback(
+    (recordingId) => jobsRef.current.some(j => j.recordingId === recordingId),
+    []
+  );
+
+  // 'running', 'offline', 'retrying', 'queued' or null for the recording list
+  const getJobStatus = (recordingId) => {
+    const job = jobs.find(j => j.recordingId === recordingId);
+    if (!job) {
+      return null;
+    }
+    if (runningIds.includes(job.id)) {
+      return 'running';
+    }
+    if (!isOnline) {
+      return 'offline';
+    }
+    return job.attempts > 0 ? 'retrying' : 'queued';
+  };
+
+  return { enqueue, cancel, hasJob, getJobStatus, isLoaded, isOnline };
+};
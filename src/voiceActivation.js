@@ -0,0 +1,113 @@
+import { ENVELOPE_INTERVAL_MS } from './levels';
+
+// Voice-activated recording. The recorder runs for the whole take, since a
+// paused recorder stops metering the microphone and could never hear the
+// next word. A gate watches its live metering and notes the voiced spans of
+// the take; when the take stops, everything outside them is cut by storing
+// the spans as the recording's segments (see src/audioSegments.js).
+
+// How long the gate stays open after the level drops. Short gaps between
+// words don't start the silence count, and the end of the last word is kept.
+export const VOX_HANGOVER_MS = 500;
+
+// Audio kept before the reading that opened the gate, so the onset of the
+// first word isn't cut
+export const VOX_PREROLL_MS = 300;
+
+// Choices offered in settings
+export const VOX_THRESHOLD_OPTIONS = [-50, -40, -30];
+export const VOX_SILENCE_OPTIONS = [2000, 5000, 10000];
+
+// Add a span to a sorted list, merging it into the last one when they overlap
+const addSpan = (spans, span) => {
+  const last = spans[spans.length - 1];
+  if (last && span.startMs <= last.endMs) {
+    last.endMs = Math.max(last.endMs, span.endMs);
+  } else {
+    spans.push({ ...span });
+  }
+  return spans;
+};
+
+// Gate over live metering readings in dBFS, each with the take time it was
+// taken at. update() returns 'open' or 'close' when the gate changes,
+// otherwise null. It starts closed, i.e. armed and waiting for sound.
+export const createVoiceGate = ({
+  thresholdDb,
+  silenceMs,
+  hangoverMs = VOX_HANGOVER_MS,
+  prerollMs = VOX_PREROLL_MS,
+}) => {
+  const spans = [];
+  let openedAt = null;
+  let lastLoudAt = 0;
+  let lastMillis = 0;
+
+  return {
+    update(db, millis) {
+      lastMillis = millis;
+      // A recorder that reports no level can't be listened to; keep the
+      // audio rather than lose it
+      const isLoud = typeof db !== 'number' || db >= thresholdDb;
+      if (isLoud) {
+        lastLoudAt = millis;
+        if (openedAt === null) {
+          openedAt = Math.max(0, millis - prerollMs);
+          return 'open';
+        }
+        return null;
+      }
+      if (openedAt !== null && millis - lastLoudAt >= hangoverMs + silenceMs) {
+        addSpan(spans, { startMs: openedAt, endMs: lastLoudAt + hangoverMs });
+        openedAt = null;
+        return 'close';
+      }
+      return null;
+    },
+    // Treat the take as voiced from now, e.g. after a manual resume
+    open(millis = lastMillis) {
+      lastLoudAt = millis;
+      if (openedAt === null) {
+        openedAt = millis;
+      }
+    },
+    // The voiced spans of a take that ends at endMillis
+    getSpans(endMillis) {
+      const all = spans.map(span => ({ ...span }));
+      if (openedAt !== null) {
+        addSpan(all, { startMs: openedAt, endMs: endMillis });
+      }
+      return all
+        .map(span => ({ startMs: span.startMs, endMs: Math.min(span.endMs, endMillis) }))
+        .filter(span => span.endMs > span.startMs);
+    },
+    // Length of the take that is kept so far
+    getVoicedMillis(millis) {
+      return this.getSpans(millis).reduce((total, span) => total + span.endMs - span.startMs, 0);
+    },
+  };
+};
+
+// Position of a take time on the timeline of its voiced spans. Times in a cut
+// silence move to where the next span starts.
+export const mapToSpans = (millis, spans) => {
+  let offset = 0;
+  for (const span of spans) {
+    if (millis < span.startMs) {
+      return offset;
+    }
+    if (millis <= span.endMs) {
+      return offset + millis - span.startMs;
+    }
+    offset += span.endMs - span.startMs;
+  }
+  return offset;
+};
+
+// Levels of a take's envelope inside its voiced spans
+export const cutEnvelopeToSpans = (envelope, spans) => {
+  return spans.flatMap(span => envelope.slice(
+    Math.round(span.startMs / ENVELOPE_INTERVAL_MS),
+    Math.round(span.endMs / ENVELOPE_INTERVAL_MS)
+  ));
+};
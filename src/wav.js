@@ -0,0 +1,212 @@
+import * as FileSystem from 'expo-file-system';
+import { base64ToBytes, bytesToBase64, createBase64Builder } from './base64';
+
+// Helpers for reading and writing linear PCM WAV files straight from disk
+
+const HEADER_READ_BYTES = 4096;
+const PEAK_WINDOW_BYTES = 4096;
+
+export const readFileBytes = async (uri, position, length) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position,
+    length,
+  });
+  return base64ToBytes(base64);
+};
+
+const readString = (bytes, offset, length) => {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += String.fromCharCode(bytes[offset + i]);
+  }
+  return result;
+};
+
+const readUint32 = (bytes, offset) =>
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+// Parse the RIFF header and locate the "fmt " and "data" chunks
+export const parseWavHeader = async (uri) => {
+  const bytes = await readFileBytes(uri, 0, HEADER_READ_BYTES);
+
+  if (readString(bytes, 0, 4) !== 'RIFF' || readString(bytes, 8, 4) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  const header = {};
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readString(bytes, offset, 4);
+    const chunkSize = readUint32(bytes, offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      header.format = readUint16(bytes, body);
+      header.channels = readUint16(bytes, body + 2);
+      header.sampleRate = readUint32(bytes, body + 4);
+      header.blockAlign = readUint16(bytes, body + 12);
+      header.bitsPerSample = readUint16(bytes, body + 14);
+    } else if (chunkId === 'data') {
+      header.dataOffset = body;
+      header.dataSize = chunkSize;
+      break;
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!header.blockAlign || header.dataOffset === undefined) {
+    throw new Error('WAV header is missing fmt or data chunk');
+  }
+  if (header.format !== 1 || header.bitsPerSample !== 16) {
+    throw new Error('Only 16-bit linear PCM WAV files are supported');
+  }
+
+  const info = await FileSystem.getInfoAsync(uri);
+  // Recorders that were interrupted may leave the data size unset
+  if (!header.dataSize || header.dataOffset + header.dataSize > info.size) {
+    header.dataSize = info.size - header.dataOffset;
+  }
+  header.dataSize -= header.dataSize % header.blockAlign;
+  header.durationMillis = (header.dataSize / header.blockAlign / header.sampleRate) * 1000;
+
+  return header;
+};
+
+// Largest absolute sample in a window of 16-bit little-endian samples, 0..1
+const windowPeak = (bytes) => {
+  let peak = 0;
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    let sample = bytes[i] | (bytes[i + 1] << 8);
+    if (sample & 0x8000) {
+      sample -= 0x10000;
+    }
+    const abs = Math.abs(sample);
+    if (abs > peak) {
+      peak = abs;
+    }
+  }
+  return peak / 32768;
+};
+
+// Sample `count` evenly spaced windows of the file and return their peak
+// amplitudes in dBFS
+export const readWavPeaksDb = async (uri, count) => {
+  const header = await parseWavHeader(uri);
+  const bucketBytes = header.dataSize / count;
+  const windowBytes = Math.min(PEAK_WINDOW_BYTES, Math.floor(bucketBytes));
+  const peaks = [];
+
+  for (let i = 0; i < count; i++) {
+    let start = header.dataOffset + Math.floor(i * bucketBytes);
+    start -= (start - header.dataOffset) % header.blockAlign;
+    const bytes = await readFileBytes(uri, start, Math.max(windowBytes, header.blockAlign));
+    const amplitude = windowPeak(bytes);
+    peaks.push(amplitude > 0 ? 20 * Math.log10(amplitude) : -160);
+  }
+
+  return peaks;
+};
+
+const writeString = (bytes, offset, value) => {
+  for (let i = 0; i < value.length; i++) {
+    bytes[offset + i] = value.charCodeAt(i);
+  }
+};
+
+const writeUint32 = (bytes, offset, value) => {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+  bytes[offset + 3] = (value >>> 24) & 0xff;
+};
+
+const writeUint16 = (bytes, offset, value) => {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+};
+
+// 16-bit PCM header for `dataSize` bytes of samples. A 2-byte JUNK chunk makes
+// the header 54 bytes long, a multiple of 3, so its base64 can be joined
+// directly with the base64 of the sample data without re-encoding.
+export const WAV_HEADER_BYTES = 54;
+
+export const buildWavHeader = ({ sampleRate, channels }, dataSize) => {
+  const bytes = new Uint8Array(WAV_HEADER_BYTES);
+  const blockAlign = channels * 2;
+
+  writeString(bytes, 0, 'RIFF');
+  writeUint32(bytes, 4, WAV_HEADER_BYTES - 8 + dataSize);
+  writeString(bytes, 8, 'WAVE');
+
+  writeString(bytes, 12, 'fmt ');
+  writeUint32(bytes, 16, 16);
+  writeUint16(bytes, 20, 1);
+  writeUint16(bytes, 22, channels);
+  writeUint32(bytes, 24, sampleRate);
+  writeUint32(bytes, 28, sampleRate * blockAlign);
+  writeUint16(bytes, 32, blockAlign);
+  writeUint16(bytes, 34, 16);
+
+  writeString(bytes, 36, 'JUNK');
+  writeUint32(bytes, 40, 2);
+
+  writeString(bytes, 46, 'data');
+  writeUint32(bytes, 50, dataSize);
+
+  return bytes;
+};
+
+// Byte offset of a time position in the data chunk, aligned to a whole frame
+export const wavOffsetAt = (header, millis) => {
+  const frame = Math.floor((millis / 1000) * header.sampleRate);
+  return Math.min(header.dataSize, Math.max(0, frame * header.blockAlign));
+};
+
+// Copy the samples between two positions of a WAV file into a new file
+export const writeWavSegment = async (uri, header, startMs, endMs, outUri) => {
+  const start = wavOffsetAt(header, startMs);
+  const end = wavOffsetAt(header, endMs);
+  const dataSize = end - start;
+
+  const headerBase64 = bytesToBase64(buildWavHeader(header, dataSize));
+  const dataBase64 = dataSize > 0
+    ? await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: header.dataOffset + start,
+      length: dataSize,
+    })
+    : '';
+
+  await FileSystem.writeAsStringAsync(outUri, headerBase64 + dataBase64, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};
+
+// Join ranges of WAV files, [{ uri, header, startMs, endMs }], into one new
+// file. They must all have the same sample rate and channel count.
+export const writeJoinedWav = async (pieces, outUri) => {
+  const [{ header: format }] = pieces;
+  if (pieces.some(({ header }) => header.sampleRate !== format.sampleRate || header.channels !== format.channels)) {
+    throw new Error('WAV files with different sample rates or channels cannot be joined');
+  }
+
+  const ranges = pieces.map(({ uri, header, startMs, endMs }) => {
+    const start = wavOffsetAt(header, startMs);
+    return { uri, position: header.dataOffset + start, length: Math.max(0, wavOffsetAt(header, endMs) - start) };
+  });
+  const dataSize = ranges.reduce((sum, range) => sum + range.length, 0);
+
+  const builder = createBase64Builder();
+  builder.addBytes(buildWavHeader(format, dataSize));
+  for (const range of ranges) {
+    await builder.addFileRange(range.uri, range.position, range.length);
+  }
+  await FileSystem.writeAsStringAsync(outUri, builder.finish(), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};
@@ -0,0 +1,44 @@
+import { loadSidecar } from './library';
+import { dbToLevel } from './levels';
+import { readWavPeaksDb } from './wav';
+
+// Number of bars drawn for each recording's waveform. Peaks are small enough
+// at this resolution to be cached directly on the library entry.
+export const WAVEFORM_PEAK_COUNT = 64;
+
+// Reduce a loudness envelope to `count` peaks by taking the max of each bucket
+export const peaksFromEnvelope = (envelope, count = WAVEFORM_PEAK_COUNT) => {
+  if (!envelope || envelope.length === 0) {
+    return [];
+  }
+
+  const peaks = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * envelope.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * envelope.length) / count));
+    let peak = 0;
+    for (let j = start; j < end && j < envelope.length; j++) {
+      peak = Math.max(peak, envelope[j]);
+    }
+    peaks.push(peak);
+  }
+  return peaks;
+};
+
+// Build peaks for a recording that doesn't have them yet: from the metering
+// envelope saved while recording, or by reading the samples of a PCM file.
+// Compressed (m4a) files would have to be decoded, so one without an
+// envelope gets an empty list and is drawn as a flat bar.
+export const computePeaks = async (recording) => {
+  const envelope = await loadSidecar(recording.id, 'levels');
+  if (envelope && envelope.length > 0) {
+    return peaksFromEnvelope(envelope);
+  }
+
+  if (recording.uri && /\.wav$/i.test(recording.uri)) {
+    const peaksDb = await readWavPeaksDb(recording.uri, WAVEFORM_PEAK_COUNT);
+    return peaksDb.map(db => Math.round(dbToLevel(db) * 100) / 100);
+  }
+
+  return [];
+};
@@ -0,0 +1,174 @@
+import * as FileSystem from 'expo-file-system';
+import { base64ToBytes, createBase64Builder } from './base64';
+
+// Minimal ZIP writer for bundling exports. Files are stored uncompressed:
+// audio is already compressed and transcripts are small.
+//
+// expo-file-system can't append to a file, so the archive is assembled as one
+// base64 string (see createBase64Builder). The string has to fit in memory,
+// so archives are limited to MAX_ZIP_BYTES.
+
+// Read size for checksumming file contents
+const CHUNK_BYTES = 3 * 256 * 1024;
+
+// Largest archive that is built; its base64 string is a third larger again
+export const MAX_ZIP_BYTES = 64 * 1024 * 1024;
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+const updateCrc = (crc, bytes) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const readBase64 = (uri, position, length) => FileSystem.readAsStringAsync(uri, {
+  encoding: FileSystem.EncodingType.Base64,
+  position,
+  length,
+});
+
+const fileCrc = async (uri, size) => {
+  let crc = 0;
+  for (let position = 0; position < size; position += CHUNK_BYTES) {
+    const base64 = await readBase64(uri, position, Math.min(CHUNK_BYTES, size - position));
+    crc = updateCrc(crc, base64ToBytes(base64));
+  }
+  return crc;
+};
+
+// File names are stored as UTF-8
+const utf8Bytes = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63));
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+// Header writer over a fixed-size buffer, little-endian like the format
+const createHeader = (size) => {
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  const header = {
+    bytes,
+    uint16: (value) => {
+      bytes[offset++] = value & 0xff;
+      bytes[offset++] = (value >> 8) & 0xff;
+      return header;
+    },
+    uint32: (value) => {
+      header.uint16(value & 0xffff);
+      return header.uint16((value >>> 16) & 0xffff);
+    },
+    raw: (data) => {
+      bytes.set(data, offset);
+      offset += data.length;
+      return header;
+    },
+  };
+  return header;
+};
+
+// MS-DOS date and time fields
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Write a ZIP archive of [{ name, uri }] to outUri. Throws without writing
+// anything when the archive would be over MAX_ZIP_BYTES.
+export const writeZip = async (files, outUri) => {
+  const sizes = [];
+  for (const file of files) {
+    const info = await FileSystem.getInfoAsync(file.uri);
+    if (!info.exists) {
+      throw new Error(`File to export is missing: ${file.name}`);
+    }
+    sizes.push(info.size);
+  }
+  const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+  if (totalBytes > MAX_ZIP_BYTES) {
+    throw new Error(
+      `The export is ${Math.ceil(totalBytes / (1024 * 1024))}MB, more than the ` +
+        `${MAX_ZIP_BYTES / (1024 * 1024)}MB that can be bundled into one ZIP. ` +
+        'Select fewer recordings or export without audio.'
+    );
+  }
+
+  const { time, date } = dosDateTime(new Date());
+  const builder = createBase64Builder();
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (const [i, file] of files.entries()) {
+    const size = sizes[i];
+    const crc = await fileCrc(file.uri, size);
+    const name = utf8Bytes(file.name);
+
+    const common = (header) => header
+      .uint16(20) // version needed
+      .uint16(0x0800) // flags: UTF-8 names
+      .uint16(0) // stored
+      .uint16(time)
+      .uint16(date)
+      .uint32(crc)
+      .uint32(size)
+      .uint32(size)
+      .uint16(name.length);
+
+    const local = createHeader(30 + name.length).uint32(0x04034b50);
+    common(local).uint16(0).raw(name);
+
+    const central = createHeader(46 + name.length).uint32(0x02014b50).uint16(20);
+    common(central)
+      .uint16(0) // extra length
+      .uint16(0) // comment length
+      .uint16(0) // disk
+      .uint16(0) // internal attributes
+      .uint32(0) // external attributes
+      .uint32(offset)
+      .raw(name);
+    centralHeaders.push(central.bytes);
+
+    builder.addBytes(local.bytes);
+    await builder.addFileRange(file.uri, 0, size);
+    offset += local.bytes.length + size;
+  }
+
+  const centralSize = centralHeaders.reduce((sum, bytes) => sum + bytes.length, 0);
+  centralHeaders.forEach(bytes => builder.addBytes(bytes));
+
+  const end = createHeader(22)
+    .uint32(0x06054b50)
+    .uint16(0)
+    .uint16(0)
+    .uint16(files.length)
+    .uint16(files.length)
+    .uint32(centralSize)
+    .uint32(offset)
+    .uint16(0);
+  builder.addBytes(end.bytes);
+
+  await FileSystem.writeAsStringAsync(outUri, builder.finish(), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+};